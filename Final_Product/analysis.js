@@ -0,0 +1,166 @@
+// ============================================================
+// ROUTE ANALYSIS
+// ============================================================
+// Per-neighborhood and per-street breakdown of a route's crime exposure,
+// a crime profile chart along the route, and the riskiest stretches.
+
+// Crime level at which a stretch counts as risky ("Unsafe" or worse)
+const RISKY_CRIME_LEVEL = 6;
+
+// How many risky stretches to highlight on the map
+const MAX_RISKY_STRETCHES = 3;
+
+// Size of the profile chart (SVG user units)
+const PROFILE_WIDTH = 320;
+const PROFILE_HEIGHT = 64;
+
+/**
+ * Group a path's edges by a property and total up distance and exposure
+ * @param {Object} path Path from findPath()
+ * @param {string} key Edge property to group by (e.g. 'neighborhood')
+ * @returns {Array} [{ name, distance, exposure, crimeLevel }], most exposure first
+ */
+function getExposureBreakdown(path, key) {
+  const groups = new Map();
+
+  path.edges.forEach(edgeId => {
+    const edge = graph.edges[edgeId];
+    const name = edge[key];
+    if (!groups.has(name)) groups.set(name, { name, distance: 0, exposure: 0 });
+
+    const group = groups.get(name);
+    group.distance += edge.distance;
+    group.exposure += edge.crimes * edge.distance;
+  });
+
+  return [...groups.values()]
+    .map(group => ({ ...group, crimeLevel: group.distance > 0 ? group.exposure / group.distance : 0 }))
+    .sort((a, b) => b.exposure - a.exposure);
+}
+
+/**
+ * Find the stretches of a path where the crime level stays high
+ * @param {Object} path Path from findPath()
+ * @returns {Array} [{ nodes, edges, streets, stats }], most exposure first
+ */
+function findRiskyStretches(path) {
+  const risky = new Set(path.edges.filter(edgeId => graph.edges[edgeId].crimes >= RISKY_CRIME_LEVEL));
+
+  return groupConsecutiveEdges(path, risky)
+    .map(run => {
+      const stretch = {
+        nodes: path.nodes.slice(run[0], run[run.length - 1] + 2),
+        edges: run.map(index => path.edges[index])
+      };
+      stretch.streets = [...new Set(stretch.edges.map(edgeId => graph.edges[edgeId].streetName))];
+      stretch.stats = getRouteStats(stretch);
+      return stretch;
+    })
+    .sort((a, b) => b.stats.exposure - a.stats.exposure)
+    .slice(0, MAX_RISKY_STRETCHES);
+}
+
+/**
+ * Build an SVG bar chart of crime level along the route
+ * Each bar is one edge; its width is the edge length
+ * @param {Object} path Path from findPath()
+ * @returns {string} SVG markup
+ */
+function buildCrimeProfileSVG(path) {
+  const edges = path.edges.map(edgeId => graph.edges[edgeId]);
+  const totalDistance = edges.reduce((sum, edge) => sum + edge.distance, 0);
+  const maxCrimes = Math.max(RISKY_CRIME_LEVEL + 2, ...edges.map(edge => edge.crimes));
+
+  let x = 0;
+  const bars = edges.map(edge => {
+    const width = edge.distance / totalDistance * PROFILE_WIDTH;
+    const height = Math.max(1, edge.crimes / maxCrimes * PROFILE_HEIGHT);
+    const bar = `<rect x="${x.toFixed(2)}" y="${(PROFILE_HEIGHT - height).toFixed(2)}" ` +
+      `width="${width.toFixed(2)}" height="${height.toFixed(2)}" fill="${getCrimeColor(edge.crimes)}">` +
+      `<title>${edge.streetName}: ${edge.crimes}</title></rect>`;
+    x += width;
+    return bar;
+  });
+
+  // Dashed line marking the risky threshold
+  const thresholdY = (PROFILE_HEIGHT - RISKY_CRIME_LEVEL / maxCrimes * PROFILE_HEIGHT).toFixed(2);
+
+  return `
+    <svg class="profile-chart" viewBox="0 0 ${PROFILE_WIDTH} ${PROFILE_HEIGHT}" preserveAspectRatio="none">
+      ${bars.join('')}
+      <line x1="0" x2="${PROFILE_WIDTH}" y1="${thresholdY}" y2="${thresholdY}" class="profile-threshold" />
+    </svg>
+    <div class="slider-labels">
+      <span>Start</span>
+      <span>${formatMiles(totalDistance)}</span>
+    </div>
+  `;
+}
+
+/**
+ * Build the HTML rows for a breakdown table
+ * @param {Array} groups Groups from getExposureBreakdown()
+ * @returns {string} HTML
+ */
+function buildBreakdownRows(groups) {
+  return groups.map(group => `
+    <div class="breakdown-row">
+      <span class="legend-swatch" style="background:${getCrimeColor(group.crimeLevel)};"></span>
+      <span>${group.name}</span>
+      <span>${formatMiles(group.distance)}</span>
+      <b>${Math.round(group.crimeLevel * 10) / 10}</b>
+    </div>
+  `).join('');
+}
+
+/**
+ * Fill in the route analysis card and highlight risky stretches on the map
+ * @param {Object} path Active route
+ */
+function showRouteAnalysis(path) {
+  clearRouteAnalysis();
+
+  document.getElementById('routeProfile').innerHTML = buildCrimeProfileSVG(path);
+  document.getElementById('neighborhoodBreakdown').innerHTML =
+    buildBreakdownRows(getExposureBreakdown(path, 'neighborhood'));
+  document.getElementById('streetBreakdown').innerHTML =
+    buildBreakdownRows(getExposureBreakdown(path, 'streetName'));
+
+  const stretches = findRiskyStretches(path);
+  const list = document.getElementById('riskyStretches');
+  list.innerHTML = stretches.length === 0
+    ? '<div class="hint">No stretch of this route reaches the unsafe level.</div>'
+    : '';
+
+  stretches.forEach(stretch => {
+    const description = `${stretch.streets.join(', ')}: ${formatMiles(stretch.stats.distance)} at crime level ${stretch.stats.crimeLevel}`;
+
+    const layer = L.polyline(getPathCoords(stretch), {
+      color: '#f97316',
+      weight: 12,
+      opacity: 0.35
+    }).addTo(map);
+    layer.bindPopup(`<strong>Be careful here</strong><br>${description}`);
+    riskLayers.push(layer);
+
+    const item = document.createElement('button');
+    item.className = 'risk-item';
+    item.textContent = description;
+    item.addEventListener('click', () => {
+      map.fitBounds(layer.getBounds(), { padding: [80, 80] });
+      layer.openPopup();
+    });
+    list.appendChild(item);
+  });
+
+  document.getElementById('routeAnalysis').style.display = 'block';
+}
+
+/**
+ * Remove risky stretch highlights and hide the analysis card
+ */
+function clearRouteAnalysis() {
+  riskLayers.forEach(layer => map.removeLayer(layer));
+  riskLayers = [];
+  document.getElementById('routeAnalysis').style.display = 'none';
+}
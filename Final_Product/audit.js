@@ -0,0 +1,257 @@
+// ============================================================
+// WALK AUDIT
+// ============================================================
+// Scores a walk the user already takes, drawn on the map or imported as
+// a track, and compares it with the recommended route between the same
+// ends. The walk is matched onto the streets (matchTrackToNetwork) so it
+// is scored exactly like a computed route.
+
+// Points of the walk being drawn, or null when not drawing
+let drawnWalk = null;
+let drawnWalkLayer = null;
+
+// Walk whose audit is on screen: { name, points }, or null
+let shownWalk = null;
+
+// ============================================================
+// DRAWING A WALK
+// ============================================================
+
+/**
+ * Start drawing a walk, or finish and audit the one being drawn
+ * (Draw My Walk button)
+ */
+function toggleWalkDrawing() {
+  const button = document.getElementById('drawWalkBtn');
+
+  if (!drawnWalk) {
+    drawnWalk = [];
+    drawnWalkLayer = L.polyline([], { color: '#f59e0b', weight: 4, dashArray: '4, 6' }).addTo(map);
+    button.textContent = 'Finish My Walk';
+    setStatus(false, 'Click along your usual walk, then press Finish My Walk');
+    return;
+  }
+
+  const points = drawnWalk;
+  map.removeLayer(drawnWalkLayer);
+  drawnWalk = null;
+  drawnWalkLayer = null;
+  button.textContent = 'Draw My Walk';
+
+  if (points.length < 2) {
+    alert('Click at least two points along your walk.');
+    return;
+  }
+  auditWalk('Your walk', points);
+}
+
+/**
+ * Add a map click to the walk being drawn
+ * @param {number} lat Latitude
+ * @param {number} lng Longitude
+ * @returns {boolean} True if a walk is being drawn (the click is used up)
+ */
+function addDrawnWalkPoint(lat, lng) {
+  if (!drawnWalk) return false;
+
+  drawnWalk.push({ lat, lng });
+  drawnWalkLayer.addLatLng([lat, lng]);
+  return true;
+}
+
+// ============================================================
+// COMPARING WITH THE RECOMMENDED ROUTE
+// ============================================================
+
+/**
+ * Make sure the streets under a track are loaded and scored for the
+ * selected departure time
+ * @param {Array<Object>} points Track points as { lat, lng }
+ * @returns {Promise<boolean>} False if the track covers too large an area
+ */
+async function loadTrackNetwork(points) {
+  const tiles = getTilesAroundPoints(points);
+  if (tiles.length > MAX_LOADED_TILES) {
+    alert('That walk covers too large an area to score.');
+    return false;
+  }
+  await loadNetworkTiles(tiles, false, false);
+
+  const departValue = document.getElementById('departTimeInput').value;
+  if (departValue) setDepartureTime(new Date(departValue));
+  return true;
+}
+
+/**
+ * Match a walk and find the recommended route between its ends in the
+ * background
+ * The page then snaps the walk's points as the worker did, so node and
+ * edge IDs in the result are valid here too.
+ * @param {Array<Object>} points Walk points as { lat, lng }
+ * @returns {Promise<Object|null>} Result from runAuditQuery(), or null if
+ *   the search failed or was cancelled
+ */
+async function findWalkAudit(points) {
+  for (let attempt = 0; attempt <= ROUTE_SEARCH_RETRIES; attempt++) {
+    const version = graphVersion;
+    const cancelButton = document.getElementById('cancelRouteBtn');
+    cancelButton.style.display = 'block';
+    setStatus(true, 'Scoring your walk…');
+
+    let result;
+    try {
+      result = await runBackgroundQuery({
+        type: 'audit',
+        points: points.map(({ lat, lng }) => ({ lat, lng })),
+        priority: safetyPriority,
+        profile: routingProfile,
+        withBaseline: true
+      });
+    } catch (error) {
+      if (error.cancelled) {
+        setStatus(false, 'Route search cancelled');
+      } else {
+        console.error('Walk audit failed:', error);
+        alert('Route search failed. Please try again.');
+      }
+      return null;
+    } finally {
+      cancelButton.style.display = 'none';
+    }
+
+    if (version === graphVersion) {
+      setStatus(false, `Street network: ready (${graph.baseEdgeCount} segments)`);
+      if (result.walk) snapPointsToNetwork(result.walk.trackPoints, 'walking');
+      return result;
+    }
+
+    // New tiles arrived while searching; the result's IDs belong to the
+    // old network. Search again once the loads under way are done.
+    await waitForTileLoads();
+  }
+
+  setStatus(false, 'Route search stopped: the street network kept changing. Please try again.');
+  return null;
+}
+
+/**
+ * Score a walk and show it next to the recommended route between its ends
+ * The recommended route becomes the active route; its start and end are
+ * the walk's ends.
+ * @param {string} name Name of the walk, e.g. the imported file's name
+ * @param {Array<Object>} points Walk points as { lat, lng }, in walking order
+ * @param {boolean} [fit] Zoom the map to the walk (off when redoing the
+ *   audit for a rebuilt street network)
+ */
+async function auditWalk(name, points, fit = true) {
+  if (!await loadTrackNetwork(points)) return;
+
+  const result = await findWalkAudit(points);
+  if (!result) return;
+
+  const { walk, recommended } = result;
+  if (!walk) {
+    alert('That walk doesn\'t follow any streets we have loaded.');
+    return;
+  }
+  if (!recommended) {
+    alert('No route found!');
+    return;
+  }
+
+  clearRoute();
+  const start = points[0];
+  const end = points[points.length - 1];
+  setStartPoint(start.lat, start.lng, `Start of ${name}`);
+  setEndPoint(end.lat, end.lng, `End of ${name}`);
+  clickCount = 2;
+
+  baselineRoute = { key: getBaselineKey(walk.waypoints, result.profile), path: result.baseline };
+  showRoute(recommended, getRouteStats(recommended));
+  showWalkAudit(name, walk, recommended);
+  shownWalk = { name, points };
+  if (fit) map.fitBounds(L.featureGroup([routeLayer, ...auditLayers]).getBounds(), { padding: [50, 50] });
+}
+
+/**
+ * Draw the walk, highlight where it leaves the recommended route and fill
+ * in the audit card
+ * @param {string} name Name of the walk
+ * @param {Object} walk Walk from runAuditQuery()
+ * @param {Object} recommended Recommended route from runAuditQuery()
+ */
+function showWalkAudit(name, walk, recommended) {
+  clearWalkAudit();
+
+  const walkStats = getRouteStats(walk);
+  const recommendedStats = getRouteStats(recommended);
+
+  auditLayers.push(L.polyline(getRouteCoords(walk), {
+    color: '#f59e0b',
+    weight: 5,
+    opacity: 0.7
+  }).addTo(map));
+
+  // Stretches of the walk that the recommended route doesn't use
+  const recommendedEdges = new Set(recommended.edges);
+  const differing = new Set(walk.edges.filter(edgeId => !recommendedEdges.has(edgeId)));
+  const list = document.getElementById('auditStretches');
+  list.innerHTML = '';
+
+  groupConsecutiveEdges(walk, differing).forEach(run => {
+    const stretch = {
+      nodes: walk.nodes.slice(run[0], run[run.length - 1] + 2),
+      edges: run.map(index => walk.edges[index])
+    };
+    const stats = getRouteStats(stretch);
+    const streets = [...new Set(stretch.edges.map(edgeId => graph.edges[edgeId].streetName))];
+    const description = `${streets.join(', ')}: ${formatMiles(stats.distance)} at crime level ${stats.crimeLevel} (${stats.rating.label})`;
+
+    const layer = L.polyline(getPathCoords(stretch), {
+      color: '#ef4444',
+      weight: 9,
+      opacity: 0.45
+    }).addTo(map);
+    layer.bindPopup(`<strong>Off the recommended route</strong><br>${description}`);
+    auditLayers.push(layer);
+
+    const item = document.createElement('button');
+    item.className = 'risk-item';
+    item.textContent = description;
+    item.addEventListener('click', () => {
+      map.fitBounds(layer.getBounds(), { padding: [80, 80] });
+      layer.openPopup();
+    });
+    list.appendChild(item);
+  });
+
+  document.getElementById('auditTitle').textContent = name;
+  document.getElementById('auditWalkStats').textContent =
+    `${formatMiles(walkStats.distance)} · crime level ${walkStats.crimeLevel} (${walkStats.rating.label})`;
+  document.getElementById('auditRouteStats').textContent =
+    `${formatMiles(recommendedStats.distance)} · crime level ${recommendedStats.crimeLevel} (${recommendedStats.rating.label})`;
+
+  const summary = document.getElementById('auditSummary');
+  summary.style.display = 'block';
+  if (differing.size === 0) {
+    summary.innerHTML = '<b>Your walk already follows the recommended route.</b>';
+  } else {
+    summary.innerHTML = `
+      <div>The recommended route, compared with your walk:</div>
+      <b>${describeSafetyCost(recommendedStats, walkStats)}</b>
+      <div class="hint">Orange line: your walk. Red: stretches the recommended route avoids (click for details).</div>
+    `;
+  }
+
+  document.getElementById('auditCard').style.display = 'block';
+}
+
+/**
+ * Remove the walk audit from the map and hide its card
+ */
+function clearWalkAudit() {
+  shownWalk = null;
+  auditLayers.forEach(layer => map.removeLayer(layer));
+  auditLayers = [];
+  document.getElementById('auditCard').style.display = 'none';
+}
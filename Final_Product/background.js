@@ -0,0 +1,159 @@
+// ============================================================
+// BACKGROUND QUERIES
+// ============================================================
+// Sends graph building and route queries to worker.js. When the browser
+// can't start the worker (e.g. the page was opened from file://) the same
+// queries run on the main thread instead, see runCoreQuery().
+
+// Running worker, or null when queries run on the main thread
+let backgroundWorker = null;
+
+// Bumped whenever the active street network is replaced (useStreetGraph)
+let graphVersion = 0;
+
+// Network version the worker has a copy of
+let workerGraphVersion = -1;
+
+// Queries waiting for the worker: id -> { query, resolve, reject, onProgress }
+const pendingQueries = new Map();
+let nextQueryId = 1;
+
+/**
+ * Start (or restart) the background worker
+ * Falls back to main-thread queries if workers aren't available
+ */
+function startBackgroundWorker() {
+  try {
+    backgroundWorker = new Worker('worker.js');
+  } catch (error) {
+    console.warn('Background worker unavailable, routing on the main thread:', error);
+    backgroundWorker = null;
+    return;
+  }
+
+  workerGraphVersion = -1;
+  backgroundWorker.onmessage = handleWorkerMessage;
+  backgroundWorker.onerror = handleWorkerFailure;
+}
+
+/**
+ * Route a worker reply to the query waiting for it
+ * @param {MessageEvent} event - { id, type, progress | result | message }
+ */
+function handleWorkerMessage(event) {
+  const reply = event.data;
+  const pending = pendingQueries.get(reply.id);
+  if (!pending) return;
+
+  if (reply.type === 'progress') {
+    pending.onProgress(reply.progress);
+    return;
+  }
+
+  pendingQueries.delete(reply.id);
+  if (reply.type === 'error') pending.reject(new Error(reply.message));
+  else pending.resolve(reply.result);
+}
+
+/**
+ * The worker failed to load (e.g. Turf couldn't be fetched): stop using it
+ * and run anything still waiting on the main thread
+ * @param {ErrorEvent} error - Worker error
+ */
+function handleWorkerFailure(error) {
+  console.warn('Background worker failed, routing on the main thread:', error.message || error);
+  backgroundWorker.terminate();
+  backgroundWorker = null;
+
+  const waiting = [...pendingQueries.values()];
+  pendingQueries.clear();
+  waiting.forEach(pending => {
+    runCoreQuery(pending.query, pending.onProgress).then(pending.resolve, pending.reject);
+  });
+}
+
+/**
+ * Base nodes and edges of the active network, without the per-load data
+ * (scores and incidents) that route queries send separately
+ * @returns {Object} { nodes, edges }
+ */
+function getWorkerGraph() {
+  return {
+    nodes: graph.nodes.slice(0, graph.baseNodeCount),
+    edges: graph.edges.slice(0, graph.baseEdgeCount).map(edge => ({
+      id: edge.id,
+      from: edge.from,
+      to: edge.to,
+      distance: edge.distance,
+      wayId: edge.wayId,
+      streetName: edge.streetName,
+      neighborhood: edge.neighborhood,
+      tags: edge.tags,
+      crimes: 0
+    }))
+  };
+}
+
+/**
+ * Current crime scores of the base edges, for route queries
+ * @returns {Object} { crimes, penalties } as Float64Arrays indexed by edge ID
+ */
+function getEdgeScores() {
+  const count = graph.baseEdgeCount;
+  const scores = { crimes: new Float64Array(count), penalties: new Float64Array(count) };
+
+  for (let i = 0; i < count; i++) {
+    scores.crimes[i] = graph.edges[i].crimes;
+    scores.penalties[i] = graph.edges[i].tagPenalty || 0;
+  }
+  return scores;
+}
+
+/**
+ * Run a query in the background worker (or on the main thread without one)
+ * Route and stats queries bring the worker's copy of the network and its
+ * scores up to date first.
+ * @param {Object} query - Query, see runCoreQuery()
+ * @param {Function} [onProgress] - Called with progress updates
+ * @returns {Promise<*>} Query result; rejects with error.cancelled set if cancelled
+ */
+function runBackgroundQuery(query, onProgress = () => {}) {
+  if (!backgroundWorker) return runCoreQuery(query, onProgress);
+
+  if (query.type !== 'build') {
+    if (workerGraphVersion !== graphVersion) {
+      backgroundWorker.postMessage({ type: 'setGraph', graph: getWorkerGraph() });
+      workerGraphVersion = graphVersion;
+    }
+    query = { ...query, scores: getEdgeScores() };
+  }
+
+  const id = nextQueryId++;
+  return new Promise((resolve, reject) => {
+    pendingQueries.set(id, { query, resolve, reject, onProgress });
+    backgroundWorker.postMessage({ ...query, id });
+  });
+}
+
+/**
+ * Cancel the route (and stats) queries in progress
+ * A worker can't be interrupted mid-search, so it is replaced; graph builds
+ * that were waiting are handed to the new worker.
+ * @returns {boolean} True if anything was cancelled
+ */
+function cancelRouteQueries() {
+  const routeIds = [...pendingQueries.keys()].filter(id => pendingQueries.get(id).query.type !== 'build');
+  if (!backgroundWorker || routeIds.length === 0) return false;
+
+  const error = new Error('Route search cancelled');
+  error.cancelled = true;
+  routeIds.forEach(id => {
+    pendingQueries.get(id).reject(error);
+    pendingQueries.delete(id);
+  });
+
+  backgroundWorker.terminate();
+  startBackgroundWorker();
+  pendingQueries.forEach((pending, id) => backgroundWorker.postMessage({ ...pending.query, id }));
+  return true;
+}
@@ -0,0 +1,347 @@
+// ============================================================
+// CAMPUS GAZETTEER
+// ============================================================
+// Yale buildings, residential colleges and the names people actually use
+// for them ("Sterling", "Bass", "TD", "PWG"), searched before the remote
+// geocoder (see searchPlaces in geocoder.js). Each place is found at one
+// of its entrances rather than the middle of the building, so routes start
+// and end at a door. Coordinates are approximate; check them against
+// OpenStreetMap when adding or correcting an entry. Searches use the
+// selected city's campusPlaces (cities.js); these are New Haven's.
+
+// Places by name. aliases are other names and nicknames (matched like the
+// name); the first entrance is the one routes use.
+const CAMPUS_PLACES = [
+  // Libraries
+  {
+    name: 'Sterling Memorial Library',
+    aliases: ['Sterling', 'SML', 'Sterling Library'],
+    entrances: [{ label: 'High St entrance', lat: 41.31118, lng: -72.92845 }]
+  },
+  {
+    name: 'Bass Library',
+    aliases: ['Bass', 'Anne T. and Robert M. Bass Library'],
+    entrances: [{ label: 'Cross Campus entrance', lat: 41.31073, lng: -72.92810 }]
+  },
+  {
+    name: 'Beinecke Rare Book & Manuscript Library',
+    aliases: ['Beinecke', 'Beinecke Library', 'Beinecke Plaza'],
+    entrances: [{ label: 'Beinecke Plaza entrance', lat: 41.31153, lng: -72.92712 }]
+  },
+  {
+    name: 'Marx Science and Social Science Library',
+    aliases: ['Marx Library', 'CSSSI', 'Center for Science and Social Science Information'],
+    entrances: [{ label: 'Prospect St entrance', lat: 41.31545, lng: -72.92500 }]
+  },
+  {
+    name: 'Haas Arts Library',
+    aliases: ['Haas', 'Arts Library'],
+    entrances: [{ label: 'York St entrance', lat: 41.30860, lng: -72.93150 }]
+  },
+
+  // Landmarks and common destinations
+  {
+    name: 'Schwarzman Center',
+    aliases: ['Commons', 'Schwarzman', 'Yale Commons', 'Commons Dining Hall'],
+    entrances: [{ label: 'Grove St entrance', lat: 41.31296, lng: -72.92603 }]
+  },
+  {
+    name: 'Woolsey Hall',
+    aliases: ['Woolsey'],
+    entrances: [{ label: 'Rotunda entrance', lat: 41.31225, lng: -72.92625 }]
+  },
+  {
+    name: 'Payne Whitney Gymnasium',
+    aliases: ['Payne Whitney', 'PWG', 'Payne Whitney Gym', 'the gym'],
+    entrances: [{ label: 'Tower Pkwy entrance', lat: 41.31310, lng: -72.93040 }]
+  },
+  {
+    name: 'Old Campus',
+    aliases: ['Phelps Gate', 'Phelps Hall'],
+    entrances: [{ label: 'Phelps Gate, College St', lat: 41.30796, lng: -72.92855 }]
+  },
+  {
+    name: 'Cross Campus',
+    aliases: [],
+    entrances: [{ label: 'College St end', lat: 41.31065, lng: -72.92720 }]
+  },
+  {
+    name: 'Harkness Tower',
+    aliases: ['Harkness'],
+    entrances: [{ label: 'High St', lat: 41.30990, lng: -72.92960 }]
+  },
+  {
+    name: 'Yale University Art Gallery',
+    aliases: ['YUAG', 'Art Gallery'],
+    entrances: [{ label: 'Chapel St entrance', lat: 41.30831, lng: -72.93059 }]
+  },
+  {
+    name: 'Yale Center for British Art',
+    aliases: ['YCBA', 'British Art'],
+    entrances: [{ label: 'Chapel St entrance', lat: 41.30795, lng: -72.93095 }]
+  },
+  {
+    name: 'Peabody Museum',
+    aliases: ['Peabody', 'Yale Peabody Museum'],
+    entrances: [{ label: 'Whitney Ave entrance', lat: 41.31590, lng: -72.92115 }]
+  },
+  {
+    name: 'Hall of Graduate Studies',
+    aliases: ['HGS', 'Humanities Quadrangle', 'HQ'],
+    entrances: [{ label: 'Wall St entrance', lat: 41.31235, lng: -72.93005 }]
+  },
+  {
+    name: 'William L. Harkness Hall',
+    aliases: ['WLH'],
+    entrances: [{ label: 'College St entrance', lat: 41.30945, lng: -72.92775 }]
+  },
+  {
+    name: 'Linsly-Chittenden Hall',
+    aliases: ['LC', 'Linsly Chittenden'],
+    entrances: [{ label: 'High St entrance', lat: 41.30890, lng: -72.92965 }]
+  },
+  {
+    name: 'Kline Biology Tower',
+    aliases: ['KBT', 'Kline Tower'],
+    entrances: [{ label: 'Prospect St entrance', lat: 41.31800, lng: -72.92430 }]
+  },
+  {
+    name: 'Yale Health',
+    aliases: ['Yale Health Center', 'YH'],
+    entrances: [{ label: 'Lock St entrance', lat: 41.31505, lng: -72.92660 }]
+  },
+  {
+    name: 'Yale School of Management',
+    aliases: ['SOM', 'Evans Hall'],
+    entrances: [{ label: 'Whitney Ave entrance', lat: 41.31880, lng: -72.92040 }]
+  },
+  {
+    name: 'Ingalls Rink',
+    aliases: ['Ingalls', 'the Whale'],
+    entrances: [{ label: 'Sachem St entrance', lat: 41.31625, lng: -72.92825 }]
+  },
+
+  // Residential colleges
+  {
+    name: 'Benjamin Franklin College',
+    aliases: ['Franklin', 'Ben Franklin', 'BF'],
+    entrances: [{ label: 'Prospect St gate', lat: 41.31660, lng: -72.92320 }]
+  },
+  {
+    name: 'Berkeley College',
+    aliases: ['Berkeley'],
+    entrances: [{ label: 'Elm St gate', lat: 41.31020, lng: -72.92790 }]
+  },
+  {
+    name: 'Branford College',
+    aliases: ['Branford'],
+    entrances: [{ label: 'High St gate', lat: 41.30960, lng: -72.92985 }]
+  },
+  {
+    name: 'Davenport College',
+    aliases: ['Davenport', 'D\'port', 'Dport'],
+    entrances: [{ label: 'York St gate', lat: 41.31030, lng: -72.93155 }]
+  },
+  {
+    name: 'Ezra Stiles College',
+    aliases: ['Stiles', 'Ezra Stiles'],
+    entrances: [{ label: 'Tower Pkwy gate', lat: 41.31285, lng: -72.93200 }]
+  },
+  {
+    name: 'Grace Hopper College',
+    aliases: ['Hopper', 'Grace Hopper', 'Calhoun', 'Calhoun College'],
+    entrances: [{ label: 'College St gate', lat: 41.30915, lng: -72.92705 }]
+  },
+  {
+    name: 'Jonathan Edwards College',
+    aliases: ['JE', 'Jonathan Edwards'],
+    entrances: [{ label: 'High St gate', lat: 41.30930, lng: -72.93010 }]
+  },
+  {
+    name: 'Morse College',
+    aliases: ['Morse'],
+    entrances: [{ label: 'Tower Pkwy gate', lat: 41.31250, lng: -72.93185 }]
+  },
+  {
+    name: 'Pauli Murray College',
+    aliases: ['Pauli Murray', 'Murray', 'PM'],
+    entrances: [{ label: 'Prospect St gate', lat: 41.31720, lng: -72.92360 }]
+  },
+  {
+    name: 'Pierson College',
+    aliases: ['Pierson'],
+    entrances: [{ label: 'Park St gate', lat: 41.30975, lng: -72.93280 }]
+  },
+  {
+    name: 'Saybrook College',
+    aliases: ['Saybrook', 'Brook'],
+    entrances: [{ label: 'Elm St gate', lat: 41.31060, lng: -72.93030 }]
+  },
+  {
+    name: 'Silliman College',
+    aliases: ['Silliman'],
+    entrances: [{ label: 'Wall St gate', lat: 41.31190, lng: -72.92530 }]
+  },
+  {
+    name: 'Timothy Dwight College',
+    aliases: ['TD', 'Timothy Dwight'],
+    entrances: [{ label: 'Temple St gate', lat: 41.31150, lng: -72.92310 }]
+  },
+  {
+    name: 'Trumbull College',
+    aliases: ['Trumbull'],
+    entrances: [{ label: 'Elm St gate', lat: 41.31105, lng: -72.92935 }]
+  }
+];
+
+// Aliases shorter than this only match when typed exactly ("TD", "JE")
+const MIN_FUZZY_ALIAS_LENGTH = 4;
+
+// Least similarity (0-1) for a typo to still match a name
+const MIN_CAMPUS_SIMILARITY = 0.75;
+
+// Words that may be typed around a name ("bass library", "td college");
+// anything else ("Morse St", "Branford CT") means another place
+const CAMPUS_NAME_WORDS = ['yale', 'library', 'college', 'hall', 'gym', 'gymnasium', 'center', 'museum', 'building', 'dining', 'rink', 'tower'];
+
+// A remote result named like a campus place is moved to its entrance if
+// it lies within this distance (meters) of it
+const CAMPUS_ENTRANCE_RADIUS = 300;
+
+// ============================================================
+// MATCHING
+// ============================================================
+
+/**
+ * Normalize a name for matching: lowercase, no punctuation or "the"
+ * @param {string} text - Name or typed text
+ * @returns {string} Normalized text
+ */
+function normalizeCampusName(text) {
+  return text.toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’.]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/^the /, '')
+    .trim();
+}
+
+/**
+ * Edit distance between two strings, counting a swap of neighboring
+ * letters as one edit
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of edits
+ */
+function getEditDistance(a, b) {
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        rows[0].push(j);
+        continue;
+      }
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * Whether typed text is a name plus only words like "library" or "college"
+ * @param {string} text - Normalized typed text
+ * @param {string} name - Normalized name or alias
+ * @returns {boolean} True if the name is in the text with nothing else
+ */
+function containsCampusName(text, name) {
+  const padded = ` ${text} `;
+  const at = padded.indexOf(` ${name} `);
+  if (at < 0) return false;
+
+  const rest = (padded.slice(0, at) + padded.slice(at + name.length + 1)).trim();
+  return rest.split(' ').every(word => !word || CAMPUS_NAME_WORDS.includes(word));
+}
+
+/**
+ * How well typed text matches one name of a place
+ * @param {string} text - Normalized typed text
+ * @param {string} name - Normalized name or alias
+ * @returns {number} 1 for an exact match, down to 0 for no match
+ */
+function scoreCampusName(text, name) {
+  if (text === name) return 1;
+  if (name.length < MIN_FUZZY_ALIAS_LENGTH) {
+    return containsCampusName(text, name) ? 0.8 : 0;
+  }
+
+  // Partly typed ("sterl"), or the name inside a longer query ("bass library")
+  if (text.length >= 3 && name.startsWith(text)) return 0.9;
+  if (containsCampusName(text, name)) return 0.85;
+
+  // Typos, in the whole name or (while typing one word) in the part typed
+  // so far; a second word could be "CT" rather than the start of "College"
+  let similarity = 1 - getEditDistance(text, name) / Math.max(text.length, name.length);
+  if (!text.includes(' ')) {
+    const typed = name.slice(0, Math.max(text.length, MIN_FUZZY_ALIAS_LENGTH));
+    similarity = Math.max(similarity, 1 - getEditDistance(text, typed) / Math.max(text.length, typed.length) - 0.1);
+  }
+  return similarity >= MIN_CAMPUS_SIMILARITY ? similarity * 0.8 : 0;
+}
+
+/**
+ * Turn a campus place into a geocoder place at its entrance
+ * @param {Object} place - Entry of CAMPUS_PLACES or a city's campusPlaces
+ * @returns {Object} { lat, lng, label, campus: true }
+ */
+function getCampusPlace(place) {
+  const entrance = place.entrances[0];
+  return {
+    lat: entrance.lat,
+    lng: entrance.lng,
+    label: `${place.name} (${entrance.label})`,
+    campus: true
+  };
+}
+
+/**
+ * Search the campus gazetteer
+ * @param {string} query - Typed text
+ * @param {number} [limit] - Most places to return
+ * @returns {Array<Object>} Places as { lat, lng, label, campus }, best first
+ */
+function searchCampusPlaces(query, limit = 5) {
+  const text = normalizeCampusName(query);
+  if (!text) return [];
+
+  return activeCity.campusPlaces
+    .map(place => ({
+      place,
+      score: Math.max(...[place.name, ...place.aliases].map(name => scoreCampusName(text, normalizeCampusName(name))))
+    }))
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(match => getCampusPlace(match.place));
+}
+
+/**
+ * Move a remote geocoder result for a campus building to the building's
+ * entrance, so routes don't snap to the street nearest its middle
+ * @param {Object} result - Place as { lat, lng, label }
+ * @returns {Object} The same place, or the campus place at its entrance
+ */
+function useCampusEntrance(result) {
+  const name = normalizeCampusName(result.label.split(',')[0]);
+  const place = activeCity.campusPlaces.find(candidate =>
+    [candidate.name, ...candidate.aliases].some(alias => normalizeCampusName(alias) === name));
+  if (!place) return result;
+
+  const entrance = place.entrances[0];
+  const meters = getDistance(result.lat, result.lng, entrance.lat, entrance.lng) * 1000;
+  return meters <= CAMPUS_ENTRANCE_RADIUS ? getCampusPlace(place) : result;
+}
@@ -0,0 +1,262 @@
+// ============================================================
+// CITY PROFILES
+// ============================================================
+// Everything that ties the app to one city, bundled so the same app can
+// serve another campus: the starting view, the area streets are loaded
+// from, the area address searches are limited to, the neighborhood
+// polygons with their crime rates and calibration, the campus gazetteer
+// and the data sources. Another city is added as a JSON file in the same
+// format (Add city profile) and picked from the City menu; added profiles
+// are saved in the browser next to the street network cache.
+
+// Profile used when no other is picked (or a link names an unknown one)
+const DEFAULT_CITY = 'new-haven';
+
+// Profiles by id. Each one has:
+//   id, name          - Key of this table, and the name shown in the header
+//   center, zoom      - Starting map view, center as [lat, lng]
+//   networkBounds     - { south, west, north, east }; street tiles are only
+//                       loaded inside it
+//   geocoderBounds    - { south, west, north, east }; address searches are
+//                       limited to it
+//   neighborhoods     - GeoJSON FeatureCollection, a name for each polygon
+//   crimeRates        - Like neighborhoodCrimeRates
+//   calibration       - Like safetyFactorCalibration
+//   nightMultipliers  - Like neighborhoodNightMultipliers, with a default
+//   campusPlaces      - Like CAMPUS_PLACES (optional)
+//   sources           - Where the crime data came from, one line each (optional)
+const cityProfiles = {
+  'new-haven': {
+    id: 'new-haven',
+    name: 'New Haven',
+    center: [41.3083, -72.9279],
+    zoom: 14,
+    networkBounds: { south: 41.22, west: -73.05, north: 41.40, east: -72.82 },
+    geocoderBounds: { south: 41.1, west: -73.1, north: 41.5, east: -72.7 },
+    neighborhoods: neighborhoodPolygons,
+    crimeRates: neighborhoodCrimeRates,
+    calibration: safetyFactorCalibration,
+    nightMultipliers: neighborhoodNightMultipliers,
+    campusPlaces: CAMPUS_PLACES,
+    sources: ['NeighborhoodScout 2024', 'Yale Clery Reports', 'DataHaven']
+  }
+};
+
+// Ids of the profiles above, which a file can't replace
+const BUILT_IN_CITIES = Object.keys(cityProfiles);
+
+// Profile in use
+let activeCity = cityProfiles[DEFAULT_CITY];
+
+/**
+ * Look up a profile by id
+ * @param {string} id - Profile id, e.g. from a route link
+ * @returns {Object|null} The profile, or null if none has that id
+ */
+function getCityProfile(id) {
+  return Object.hasOwn(cityProfiles, id) ? cityProfiles[id] : null;
+}
+
+// ============================================================
+// READING PROFILES
+// ============================================================
+
+/**
+ * Check a bounding box from a city profile
+ * @param {Object} box - { south, west, north, east }
+ * @param {string} field - Profile field, for error messages
+ * @returns {Object} The same box
+ * @throws {Error} If a side is missing or the box is empty
+ */
+function readCityBounds(box, field) {
+  const sides = ['south', 'west', 'north', 'east'];
+  if (!box || sides.some(side => typeof box[side] !== 'number' || !isFinite(box[side]))) {
+    throw new Error(`${field} needs numeric ${sides.join(', ')}`);
+  }
+  if (box.south >= box.north || box.west >= box.east) {
+    throw new Error(`${field} is empty (south must be below north, west left of east)`);
+  }
+  return { south: box.south, west: box.west, north: box.north, east: box.east };
+}
+
+/**
+ * Check a city profile and fill in its optional fields
+ * Calibration settings other than the baseline default to New Haven's.
+ * @param {Object} data - Profile parsed from JSON
+ * @returns {Object} Profile ready for useCityProfile()
+ * @throws {Error} Describing the first problem found
+ */
+function readCityProfile(data) {
+  if (!data || typeof data.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(data.id)) {
+    throw new Error('The profile needs an id of lowercase letters, digits and dashes, e.g. "new-haven"');
+  }
+  if (BUILT_IN_CITIES.includes(data.id)) {
+    throw new Error(`"${data.id}" is a built-in city; give the profile another id`);
+  }
+  if (typeof data.name !== 'string' || !data.name.trim()) throw new Error('The profile needs a name');
+
+  const [lat, lng] = Array.isArray(data.center) ? data.center.map(Number) : [];
+  if (!isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw new Error('center must be [lat, lng]');
+  }
+
+  if (!data.crimeRates || Object.keys(data.crimeRates).length === 0) {
+    throw new Error('The profile needs crimeRates for its neighborhoods');
+  }
+  Object.keys(data.crimeRates).forEach(name => {
+    if (!isFinite(data.crimeRates[name].ratePer1000)) throw new Error(`${name} has no ratePer1000`);
+  });
+
+  const defaults = cityProfiles[DEFAULT_CITY];
+  const calibration = { ...defaults.calibration, baseline: null, ...data.calibration };
+  // Throws if the baseline has no rate
+  calibrateSafetyFactors(data.crimeRates, calibration);
+
+  const campusPlaces = (data.campusPlaces || []).map(place => {
+    if (!place.name || !Array.isArray(place.entrances) || place.entrances.length === 0) {
+      throw new Error(`Campus place ${place.name || '(unnamed)'} needs a name and at least one entrance`);
+    }
+    return { aliases: [], ...place };
+  });
+
+  return {
+    id: data.id,
+    name: data.name.trim(),
+    center: [lat, lng],
+    zoom: isFinite(data.zoom) ? Number(data.zoom) : defaults.zoom,
+    networkBounds: readCityBounds(data.networkBounds, 'networkBounds'),
+    geocoderBounds: readCityBounds(data.geocoderBounds || data.networkBounds, 'geocoderBounds'),
+    neighborhoods: readNeighborhoodGeoJSON(data.neighborhoods || {}),
+    crimeRates: data.crimeRates,
+    calibration,
+    nightMultipliers: { default: defaults.nightMultipliers.default, ...data.nightMultipliers },
+    campusPlaces,
+    sources: Array.isArray(data.sources) ? data.sources.map(String) : []
+  };
+}
+
+/**
+ * Make a checked profile available in the City menu
+ * Problems with its neighborhood polygons are logged as warnings.
+ * @param {Object} profile - Result of readCityProfile()
+ */
+function registerCityProfile(profile) {
+  const table = calibrateSafetyFactors(profile.crimeRates, profile.calibration);
+  describeNeighborhoodReport(validateNeighborhoods(profile.neighborhoods, getSafetyFactors(table, profile.calibration)))
+    .forEach(problem => console.warn(`${profile.name} neighborhoods: ${problem}`));
+
+  const isNew = !getCityProfile(profile.id);
+  cityProfiles[profile.id] = profile;
+
+  if (isNew) {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    document.getElementById('citySelect').appendChild(option);
+  }
+}
+
+/**
+ * Read a city profile file, add it to the City menu and save it for
+ * later visits (so route links naming the city keep working)
+ * @param {string} text - Profile as JSON
+ * @returns {Promise<Object>} The profile
+ * @throws {Error} If the file isn't a valid profile
+ */
+async function addCityProfile(text) {
+  const data = JSON.parse(text);
+  const profile = readCityProfile(data);
+  registerCityProfile(profile);
+
+  try {
+    await withNetworkStore('readwrite', store => store.put({ id: profile.id, data }), CITY_PROFILE_STORE);
+  } catch (error) {
+    console.warn(`Could not save the ${profile.name} profile; it is gone after a reload:`, error);
+  }
+  return profile;
+}
+
+/**
+ * Add the profiles saved on earlier visits to the City menu
+ * Called once at startup; a saved profile that no longer reads is skipped.
+ */
+async function restoreCityProfiles() {
+  let entries;
+  try {
+    entries = await withNetworkStore('readonly', store => store.getAll(), CITY_PROFILE_STORE);
+  } catch (error) {
+    console.warn('Saved city profiles unavailable:', error);
+    return;
+  }
+
+  entries.forEach(entry => {
+    try {
+      registerCityProfile(readCityProfile(entry.data));
+    } catch (error) {
+      console.warn(`Skipping saved city profile ${entry.id}:`, error);
+    }
+  });
+}
+
+// ============================================================
+// SWITCHING CITIES
+// ============================================================
+
+/**
+ * Make a profile's neighborhoods, crime rates and campus places the ones
+ * used for scoring and search
+ * @param {Object} profile - City profile
+ */
+function useCityProfile(profile) {
+  activeCity = profile;
+
+  neighborhoodPolygons = profile.neighborhoods;
+  indexNeighborhoods();
+  neighborhoodCrimeRates = profile.crimeRates;
+  safetyFactorCalibration = profile.calibration;
+  safetyFactorCalibrationTable = calibrateSafetyFactors(profile.crimeRates, profile.calibration);
+  neighborhoodSafetyFactors = getSafetyFactors(safetyFactorCalibrationTable, profile.calibration);
+  neighborhoodNightMultipliers = profile.nightMultipliers;
+
+  // Cached searches were limited to the old city's area
+  geocoderCache.clear();
+}
+
+/**
+ * Use a profile and show its city: map view, titles and menu
+ * Doesn't load any streets; see switchCity().
+ * @param {Object} profile - City profile
+ */
+function showCity(profile) {
+  useCityProfile(profile);
+
+  map.setView(profile.center, profile.zoom);
+  document.title = `SafeWalking: ${profile.name} Crime-Aware Navigation`;
+  document.getElementById('cityTitle').textContent = `SafeWalking: ${profile.name}`;
+  document.getElementById('citySelect').value = profile.id;
+  document.getElementById('neighborhoodStatus').textContent =
+    `Using the boundaries from the ${profile.name} profile. Load official ones in longitude/latitude, with a name for each polygon.`;
+  document.getElementById('cityStatus').textContent = profile.sources.length > 0
+    ? `Crime data: ${profile.sources.join(', ')}.`
+    : 'No crime data sources listed in this profile.';
+
+  if (document.getElementById('methodologyCard').style.display === 'block') showMethodology();
+}
+
+/**
+ * Switch to another city and rebuild the street network for it (City menu)
+ * The route, loaded tiles and any imported street file belong to the
+ * old city and are dropped.
+ * @param {string} id - Profile id
+ */
+async function switchCity(id) {
+  const profile = getCityProfile(id);
+  if (!profile || profile === activeCity) return;
+
+  clearRoute();
+  clearStreetNetwork();
+  baselineRoute = null;
+
+  showCity(profile);
+  await loadStreetData();
+}
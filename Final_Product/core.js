@@ -0,0 +1,239 @@
+// ============================================================
+// ROUTING CORE FOR NODE.JS
+// ============================================================
+// Loads the DOM-free scripts (data, graph building, crime scoring,
+// pathfinding) into their own context, the way worker.js loads them into
+// the background worker, so scripts and the CLI (safewalk.js) route exactly
+// like the browser app. Requires Turf 6, as the app (npm install at the
+// repository root).
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Scripts making up the routing core, in load order
+const CORE_SCRIPTS = ['data.js', 'graph.js', 'incidents.js', 'neighborhoods.js', 'pathfinding.js'];
+
+// Runs inside the core context: the scripts' top-level let/const bindings
+// (graph, departureTime, crimeIncidents, ...) aren't properties of the
+// context object, so they are reached through these functions
+const CORE_SETUP = `
+  function useCoreNeighborhoods(polygons) {
+    neighborhoodPolygons = polygons;
+    indexNeighborhoods();
+  }
+
+  function useCoreGraph(built, incidents) {
+    graph = { nodes: built.nodes, edges: built.edges, adjacency: [] };
+    crimeIncidents = incidents;
+    indexStreetGraph();
+    assignEdgeNeighborhoods();
+    assignIncidentsToEdges();
+  }
+
+  function scoreCoreGraph(time) {
+    departureTime = time;
+    clearSnapPoints();
+    scoreEdges();
+  }
+
+  function getCoreGraph() {
+    return graph;
+  }
+
+  function getWalkingSpeed() {
+    return WALKING_SPEED_KMH;
+  }
+
+  function getNeighborhoodData() {
+    return {
+      polygons: neighborhoodPolygons,
+      safetyFactors: neighborhoodSafetyFactors,
+      nightMultipliers: neighborhoodNightMultipliers,
+      calibration: safetyFactorCalibrationTable
+    };
+  }
+`;
+
+// Accepted values of the route request options
+const ROUTE_PROFILES = ['walking', 'accessible'];
+const ROUTE_MODES = ['safest', 'options', 'alternatives'];
+
+// ============================================================
+// LOADING THE CORE
+// ============================================================
+
+/**
+ * Load a fresh copy of the routing core
+ * Each copy holds its own street network, so several can be used at once.
+ * Call useCoreGraph(built, incidents) and then scoreCoreGraph(time) before
+ * routing.
+ * @returns {Object} The core's functions: buildStreetGraph, runRouteQuery,
+ *   getRouteStats, parseIncidentFile, ... plus the ones in CORE_SETUP
+ */
+function loadRoutingCore() {
+  const core = vm.createContext({ turf: require('@turf/turf'), console, fetch });
+
+  CORE_SCRIPTS.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), core, { filename: file });
+  });
+  vm.runInContext(CORE_SETUP, core);
+  return core;
+}
+
+/**
+ * Read a street network file: a graph saved by "safewalk build", or an
+ * Overpass JSON response (built into a graph here)
+ * @param {Object} core - Core from loadRoutingCore()
+ * @param {string} file - Path to the JSON file
+ * @returns {Object} { nodes, edges }
+ */
+function readStreetNetwork(core, file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (Array.isArray(data.elements)) return core.buildStreetGraph(data.elements);
+  if (Array.isArray(data.nodes) && Array.isArray(data.edges)) return data;
+  throw new Error(`${file} is neither a saved street network nor an Overpass JSON response`);
+}
+
+// ============================================================
+// ROUTE REQUESTS
+// ============================================================
+// Shared by the CLI and the HTTP server: options arrive as strings
+// (command line arguments or query parameters).
+
+/**
+ * Parse a "lat,lng" option
+ * @param {string} value - Option value
+ * @param {string} name - Option name, for the error message
+ * @returns {Object} { lat, lng }
+ */
+function parsePoint(value, name) {
+  const [lat, lng] = String(value).split(',').map(Number);
+  if (!isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw new Error(`${name} must be LAT,LNG (got "${value}")`);
+  }
+  return { lat, lng };
+}
+
+/**
+ * Parse a "south,west,north,east" option
+ * @param {string} value - Option value
+ * @param {string} name - Option name, for the error message
+ * @returns {Object} { south, west, north, east }
+ */
+function parseBoundingBox(value, name) {
+  const [south, west, north, east] = String(value).split(',').map(Number);
+  if (![south, west, north, east].every(isFinite) || south >= north || west >= east) {
+    throw new Error(`${name} must be SOUTH,WEST,NORTH,EAST (got "${value}")`);
+  }
+  return { south, west, north, east };
+}
+
+/**
+ * Turn route options into a route query for runRouteQuery()
+ * @param {Object} options - { from, to, via (array), priority, profile, mode, depart }
+ * @returns {Object} { query, time } where time is the departure time
+ */
+function parseRouteRequest(options) {
+  const points = [
+    parsePoint(options.from, 'from'),
+    ...(options.via || []).map(value => parsePoint(value, 'via')),
+    parsePoint(options.to, 'to')
+  ];
+
+  const priority = options.priority === undefined ? 0.5 : Number(options.priority);
+  if (!(priority >= 0 && priority <= 1)) throw new Error('priority must be between 0 and 1');
+
+  const profile = options.profile || 'walking';
+  if (!ROUTE_PROFILES.includes(profile)) throw new Error(`profile must be ${ROUTE_PROFILES.join(' or ')}`);
+
+  const mode = options.mode || 'safest';
+  if (!ROUTE_MODES.includes(mode)) throw new Error(`mode must be ${ROUTE_MODES.join(', ')}`);
+
+  const time = options.depart ? new Date(options.depart) : new Date();
+  if (isNaN(time.getTime())) throw new Error(`depart is not a valid time: "${options.depart}"`);
+
+  return { query: { type: 'route', mode, points, priority, profile, withBaseline: true }, time };
+}
+
+/**
+ * Street names along a path, with repeats of the same street merged
+ * @param {Object} core - Core from loadRoutingCore()
+ * @param {Object} routePath - Path from findRoutePath()
+ * @returns {Array<string>} Street names in walking order
+ */
+function getStreetNames(core, routePath) {
+  const edges = core.getCoreGraph().edges;
+  const names = [];
+  routePath.edges.forEach(edgeId => {
+    const name = edges[edgeId].streetName;
+    if (names[names.length - 1] !== name) names.push(name);
+  });
+  return names;
+}
+
+/**
+ * Route stats in plain units
+ * @param {Object} core - Core from loadRoutingCore()
+ * @param {Object} stats - Stats from getRouteStats()
+ * @returns {Object} { distanceKm, minutes, crimeLevel, exposure, segments, rating }
+ */
+function summarizeStats(core, stats) {
+  return {
+    distanceKm: Math.round(stats.distance * 1000) / 1000,
+    minutes: Math.round(stats.distance / core.getWalkingSpeed() * 60),
+    crimeLevel: stats.crimeLevel,
+    exposure: Math.round(stats.exposure * 100) / 100,
+    segments: stats.segments,
+    rating: stats.rating.label
+  };
+}
+
+/**
+ * Plain JSON description of a route query result
+ * @param {Object} core - Core from loadRoutingCore()
+ * @param {Object} result - Result from runRouteQuery()
+ * @param {Object} query - The query that produced it
+ * @returns {Object} { profile, points, routes, shortest }; route coordinates are [lng, lat]
+ */
+function summarizeRoutes(core, result, query) {
+  return {
+    profile: query.profile,
+    points: query.points,
+    routes: result.routes.map(route => ({
+      priority: route.priority,
+      stats: summarizeStats(core, route.stats),
+      streets: getStreetNames(core, route.path),
+      coordinates: core.getRouteCoords(route.path).map(([lat, lng]) => [lng, lat])
+    })),
+    shortest: result.baseline && summarizeStats(core, core.getRouteStats(result.baseline))
+  };
+}
+
+/**
+ * Routes from summarizeRoutes() as a GeoJSON FeatureCollection of lines
+ * @param {Object} summary - Result of summarizeRoutes()
+ * @returns {Object} FeatureCollection
+ */
+function getRoutesGeoJSON(summary) {
+  return {
+    type: 'FeatureCollection',
+    features: summary.routes.map(route => ({
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: route.coordinates },
+      properties: { profile: summary.profile, priority: route.priority, streets: route.streets, ...route.stats }
+    }))
+  };
+}
+
+module.exports = {
+  ROUTE_PROFILES,
+  loadRoutingCore,
+  readStreetNetwork,
+  parsePoint,
+  parseBoundingBox,
+  parseRouteRequest,
+  summarizeRoutes,
+  getRoutesGeoJSON
+};
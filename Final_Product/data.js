@@ -1,51 +1,160 @@
 // ============================================================
 // SAFETY FACTOR CALCULATIONS
 // ============================================================
-// Sources: NeighborhoodScout 2024, Yale Clery Reports, DataHaven
+// Each neighborhood's safety factor is calculated from its raw crime rate
+// (neighborhoodCrimeRates) by the transform in safetyFactorCalibration:
+//   1. Divide the rate by the baseline neighborhood's rate (Downtown = 1.0)
+//   2. For SAFE neighborhoods (ratio < 1.0): multiply by safeScale (0.5,
+//      halving the ratio to exaggerate the safety difference on the map)
+//      and round to safeDecimals
+//   3. For UNSAFE neighborhoods (ratio >= 1.0): keep the pure ratio,
+//      rounded to unsafeDecimals
+// e.g. East Rock: 33.76 / 38.00 = 0.889, halved = 0.44
 //
-// Method:
-//   1. Start with raw crime rates (per 1,000 residents)
-//   2. Pick a baseline neighborhood (Downtown = 1.0)
-//   3. Divide each rate by the baseline to get a pure ratio
-//   4. For SAFE neighborhoods (ratio < 1.0): halve the ratio
-//      to exaggerate the safety difference on the map
-//   5. For UNSAFE neighborhoods (ratio >= 1.0): keep close
-//      to the pure ratio, round to 1 decimal
-//
-// Worked out:
-//   Neighborhood       Rate/1000   ÷ 38.00   Pure Ratio   Final Factor
-//   ─────────────────  ─────────   ───────   ──────────   ────────────
-//   Yale Campus        14.70       0.387     0.39         0.25  (halved)
-//   Westville          25.00       0.658     0.66         0.30  (halved)
-//   Wooster Square     28.00       0.737     0.74         0.32  (halved)
-//   East Rock          33.76       0.889     0.89         0.35  (halved)
-//   Downtown           38.00       1.000     1.00         1.00  (baseline)
-//   The Hill           52.00       1.368     1.37         1.40  (rounded)
-//   Fair Haven         55.00       1.447     1.45         1.50  (rounded)
-//   Dwight             62.00       1.632     1.63         1.60  (rounded)
-//   Newhallville       65.00       1.711     1.71         1.80  (rounded)
-// ============================================================
+// The factors are shown with their inputs under Methodology in the app.
+
+// Reported crimes per 1,000 residents. The original notes list the
+// sources for the table as a whole, not per neighborhood.
+// The tables in this file are New Haven's; another city's profile
+// replaces them (see useCityProfile in cities.js).
+let neighborhoodCrimeRates = {
+    "Yale Campus": { ratePer1000: 14.70, source: "NeighborhoodScout, Yale Clery Reports, DataHaven", year: 2024 },
+    "Westville": { ratePer1000: 25.00, source: "NeighborhoodScout, Yale Clery Reports, DataHaven", year: 2024 },
+    "Wooster Square": { ratePer1000: 28.00, source: "NeighborhoodScout, Yale Clery Reports, DataHaven", year: 2024 },
+    "East Rock": { ratePer1000: 33.76, source: "NeighborhoodScout, Yale Clery Reports, DataHaven", year: 2024 },
+    "Downtown": { ratePer1000: 38.00, source: "NeighborhoodScout, Yale Clery Reports, DataHaven", year: 2024 },
+    "The Hill": { ratePer1000: 52.00, source: "NeighborhoodScout, Yale Clery Reports, DataHaven", year: 2024 },
+    "Fair Haven": { ratePer1000: 55.00, source: "NeighborhoodScout, Yale Clery Reports, DataHaven", year: 2024 },
+    "Dwight": { ratePer1000: 62.00, source: "NeighborhoodScout, Yale Clery Reports, DataHaven", year: 2024 },
+    "Newhallville": { ratePer1000: 65.00, source: "NeighborhoodScout, Yale Clery Reports, DataHaven", year: 2024 }
+  };
+
+  // Settings of the rate -> factor transform described above
+  let safetyFactorCalibration = {
+    baseline: "Downtown",
+    safeScale: 0.5,
+    safeDecimals: 2,
+    unsafeDecimals: 1,
+    // Factor for streets outside every neighborhood
+    defaultFactor: 1.0
+  };
+
+  /**
+   * Round to a number of decimal places
+   * @param {number} value - Value
+   * @param {number} decimals - Decimal places
+   * @returns {number} Rounded value
+   */
+  function roundTo(value, decimals) {
+    const scale = Math.pow(10, decimals);
+    return Math.round(value * scale) / scale;
+  }
+
+  /**
+   * Work out every neighborhood's safety factor from its crime rate
+   * @param {Object} rates - Rates by name, like neighborhoodCrimeRates
+   * @param {Object} calibration - Settings, like safetyFactorCalibration
+   * @returns {Object} name -> { ratePer1000, source, year, ratio, factor }
+   */
+  function calibrateSafetyFactors(rates, calibration) {
+    const baseline = rates[calibration.baseline];
+    if (!baseline) throw new Error(`Baseline neighborhood "${calibration.baseline}" has no crime rate`);
+
+    const calibrated = {};
+    Object.keys(rates).forEach(name => {
+      const ratio = rates[name].ratePer1000 / baseline.ratePer1000;
+      const factor = ratio < 1
+        ? roundTo(ratio * calibration.safeScale, calibration.safeDecimals)
+        : roundTo(ratio, calibration.unsafeDecimals);
+
+      calibrated[name] = { ...rates[name], ratio, factor };
+    });
+    return calibrated;
+  }
 
-const neighborhoodSafetyFactors = {
-    "Yale Campus": 0.25,
-    "Westville": 0.30,
-    "Wooster Square": 0.32,
-    "East Rock": 0.35,
-    "Downtown": 1.0,
-    "The Hill": 1.4,
-    "Fair Haven": 1.5,
-    "Dwight": 1.6,
+  /**
+   * List the factors of a calibrated table by neighborhood name
+   * @param {Object} table - Result of calibrateSafetyFactors()
+   * @param {Object} calibration - Settings, like safetyFactorCalibration
+   * @returns {Object} name -> factor, plus "default" for streets in no neighborhood
+   */
+  function getSafetyFactors(table, calibration) {
+    const factors = { default: calibration.defaultFactor };
+    Object.keys(table).forEach(name => {
+      factors[name] = table[name].factor;
+    });
+    return factors;
+  }
+
+  // Factors with their inputs, for the methodology view
+  let safetyFactorCalibrationTable = calibrateSafetyFactors(neighborhoodCrimeRates, safetyFactorCalibration);
+
+  // Safety factor by neighborhood name ("default" for streets in none)
+  let neighborhoodSafetyFactors = getSafetyFactors(safetyFactorCalibrationTable, safetyFactorCalibration);
+
+  // ============================================================
+  // TIME OF DAY
+  // ============================================================
+  // Buckets used to match incidents to the selected departure time.
+  // Hours are local, start inclusive, end exclusive. nightWeight controls
+  // how much of a neighborhood's night multiplier applies in that bucket.
+  const timeOfDayBuckets = [
+    { name: "Late night", start: 0, end: 6, nightWeight: 1.0 },
+    { name: "Morning", start: 6, end: 12, nightWeight: 0 },
+    { name: "Afternoon", start: 12, end: 18, nightWeight: 0 },
+    { name: "Evening", start: 18, end: 22, nightWeight: 0.5 },
+    { name: "Night", start: 22, end: 24, nightWeight: 1.0 }
+  ];
+
+  // How much riskier each neighborhood is after dark, used only for
+  // streets with no incident data
+  let neighborhoodNightMultipliers = {
+    "Yale Campus": 1.5,
+    "Westville": 1.4,
+    "Wooster Square": 1.5,
+    "East Rock": 1.5,
+    "Downtown": 1.8,
+    "The Hill": 1.7,
+    "Fair Haven": 1.7,
+    "Dwight": 1.7,
     "Newhallville": 1.8,
-    "default": 1.0
+    "default": 1.5
   };
+
+  // ============================================================
+  // OFFENSE SEVERITY WEIGHTS
+  // ============================================================
+  // How much one reported incident adds to a street's crime score.
+  // Keys are matched against the lowercased offense type, first hit wins,
+  // so more specific terms come before general ones.
+  const offenseSeverityWeights = [
+    { match: "homicide", weight: 10 },
+    { match: "murder", weight: 10 },
+    { match: "shooting", weight: 8 },
+    { match: "sexual", weight: 7 },
+    { match: "rape", weight: 7 },
+    { match: "robbery", weight: 5 },
+    { match: "assault", weight: 4 },
+    { match: "weapon", weight: 3 },
+    { match: "burglary", weight: 2 },
+    { match: "motor vehicle theft", weight: 1.5 },
+    { match: "theft", weight: 1 },
+    { match: "larceny", weight: 1 },
+    { match: "vandalism", weight: 0.5 },
+    { match: "criminal mischief", weight: 0.5 },
+    { match: "default", weight: 1 }
+  ];
   
   // ============================================================
   // NEIGHBORHOOD POLYGONS (GeoJSON)
   // ============================================================
-  // Simplified neighborhood polygons for Yale walking area
-  // In production, load from actual New Haven GIS
-  // For now: approximate polygons covering our 2km x 2km bbox
-  const neighborhoodPolygons = {
+  // Rough rectangles around the middle of each neighborhood near Yale, not
+  // official boundaries: they leave gaps between neighborhoods (streets
+  // there get the default factor), which "safewalk neighborhoods" lists.
+  // Official boundaries can be loaded from a GeoJSON file instead
+  // (Crime data > Neighborhood boundaries, see neighborhoods.js).
+  // Where polygons overlap, the first one listed wins.
+  let neighborhoodPolygons = {
     "type": "FeatureCollection",
     "features": [
       {
@@ -126,9 +235,33 @@ const neighborhoodSafetyFactors = {
         "geometry": {
           "type": "Polygon",
           "coordinates": [[
-            [-72.9320, 41.3050], [-72.9320, 41.3110],
-            [-72.9240, 41.3110], [-72.9240, 41.3050],
-            [-72.9320, 41.3050]
+            [-72.9280, 41.2980], [-72.9280, 41.3050],
+            [-72.9200, 41.3050], [-72.9200, 41.2980],
+            [-72.9280, 41.2980]
+          ]]
+        }
+      },
+      {
+        "type": "Feature",
+        "properties": { "name": "Fair Haven" },
+        "geometry": {
+          "type": "Polygon",
+          "coordinates": [[
+            [-72.9050, 41.2980], [-72.9050, 41.3150],
+            [-72.8850, 41.3150], [-72.8850, 41.2980],
+            [-72.9050, 41.2980]
+          ]]
+        }
+      },
+      {
+        "type": "Feature",
+        "properties": { "name": "Newhallville" },
+        "geometry": {
+          "type": "Polygon",
+          "coordinates": [[
+            [-72.9400, 41.3200], [-72.9400, 41.3330],
+            [-72.9250, 41.3330], [-72.9250, 41.3200],
+            [-72.9400, 41.3200]
           ]]
         }
       }
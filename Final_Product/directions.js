@@ -0,0 +1,306 @@
+// ============================================================
+// TURN-BY-TURN DIRECTIONS
+// ============================================================
+// Turns a node path into readable walking steps: edges are grouped by
+// street name, tiny pieces and zig-zags are merged away, and turns are
+// described from the change in bearing between steps.
+
+// Steps shorter than this (meters) are merged into a neighboring step
+const MIN_STEP_METERS = 30;
+
+// Unnamed pieces shorter than this (meters) are merged into a neighboring step
+const MAX_UNNAMED_MERGE_METERS = 80;
+
+// How far into a step (meters) to look when measuring its bearing
+const BEARING_SAMPLE_METERS = 25;
+
+const UNNAMED_STREET = 'Unnamed Street';
+
+/**
+ * Initial bearing from one point to another
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @returns {number} Bearing in degrees (0 = north, clockwise)
+ */
+function getBearing(from, to) {
+  const lat1 = from.lat * Math.PI / 180;
+  const lat2 = to.lat * Math.PI / 180;
+  const dLng = (to.lng - from.lng) * Math.PI / 180;
+  const y = Math.sin(dLng) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Name a compass direction for a bearing
+ * @param {number} bearing - Degrees
+ * @returns {string} e.g. "northeast"
+ */
+function getCompassDirection(bearing) {
+  const names = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+  return names[Math.round(bearing / 45) % 8];
+}
+
+/**
+ * Describe a change of direction
+ * @param {number} angle - Turn angle in degrees, -180..180 (negative = left)
+ * @returns {string} e.g. "Turn left"
+ */
+function describeTurn(angle) {
+  const side = angle < 0 ? 'left' : 'right';
+  const size = Math.abs(angle);
+
+  if (size < 20) return 'Continue';
+  if (size < 60) return `Bear ${side}`;
+  if (size < 135) return `Turn ${side}`;
+  return `Turn sharply ${side}`;
+}
+
+/**
+ * Format a step distance: feet for short steps, miles otherwise
+ * @param {number} km - Distance in kilometers
+ * @returns {string} e.g. "250 ft" or "0.3 mi"
+ */
+function formatStepDistance(km) {
+  const miles = km * 0.621371;
+  if (miles < 0.1) return `${Math.max(10, Math.round(miles * 5280 / 10) * 10)} ft`;
+  return `${miles.toFixed(1)} mi`;
+}
+
+/**
+ * Group a path's edges into steps of one street each
+ * @param {Object} path - Path from findPath()
+ * @returns {Array} Steps as { name, first, last } positions in path.edges
+ */
+function groupStepsByStreet(path) {
+  const steps = [];
+
+  path.edges.forEach((edgeId, index) => {
+    const name = graph.edges[edgeId].streetName;
+    const last = steps[steps.length - 1];
+    if (last && last.name === name) {
+      last.last = index;
+    } else {
+      steps.push({ name, first: index, last: index });
+    }
+  });
+
+  return steps;
+}
+
+/**
+ * Length of a step in meters
+ * @param {Object} path - Path the step belongs to
+ * @param {Object} step - { first, last }
+ * @returns {number} Meters
+ */
+function getStepMeters(path, step) {
+  let km = 0;
+  for (let i = step.first; i <= step.last; i++) km += graph.edges[path.edges[i]].distance;
+  return km * 1000;
+}
+
+/**
+ * Merge unnamed pieces, very short steps and zig-zags into their neighbors
+ * so the list stays readable
+ * @param {Object} path - Path the steps belong to
+ * @param {Array} steps - Steps from groupStepsByStreet()
+ * @returns {Array} Merged steps
+ */
+function mergeSteps(path, steps) {
+  steps = steps.map(step => ({ ...step }));
+
+  let changed = true;
+  while (changed && steps.length > 1) {
+    changed = false;
+
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i];
+      const meters = getStepMeters(path, step);
+      const tooShort = meters < MIN_STEP_METERS ||
+        (step.name === UNNAMED_STREET && meters < MAX_UNNAMED_MERGE_METERS);
+      if (!tooShort) continue;
+
+      const prev = steps[i - 1];
+      const next = steps[i + 1];
+
+      if (prev && next && prev.name === next.name) {
+        // Zig-zag: A -> short B -> A becomes one A step
+        prev.last = next.last;
+        steps.splice(i, 2);
+      } else if (prev) {
+        prev.last = step.last;
+        steps.splice(i, 1);
+      } else {
+        next.first = step.first;
+        // The first step keeps the street the walk starts on only if it is named
+        if (next.name === UNNAMED_STREET) next.name = step.name;
+        steps.splice(i, 1);
+      }
+
+      changed = true;
+      break;
+    }
+  }
+
+  return steps;
+}
+
+/**
+ * Bearing at the start or end of a step, measured over a short distance
+ * so tiny OSM pieces don't skew it
+ * @param {Object} path - Path the step belongs to
+ * @param {Object} step - { first, last }
+ * @param {boolean} atEnd - Measure the final stretch instead of the first
+ * @returns {number} Bearing in degrees
+ */
+function getStepBearing(path, step, atEnd) {
+  let meters = 0;
+
+  if (atEnd) {
+    const end = graph.nodes[path.nodes[step.last + 1]];
+    let i = step.last;
+    while (i > step.first && meters < BEARING_SAMPLE_METERS) {
+      meters += graph.edges[path.edges[i]].distance * 1000;
+      i--;
+    }
+    if (meters < BEARING_SAMPLE_METERS) i = step.first - 1;
+    return getBearing(graph.nodes[path.nodes[i + 1]], end);
+  }
+
+  const start = graph.nodes[path.nodes[step.first]];
+  let i = step.first;
+  while (i < step.last && meters < BEARING_SAMPLE_METERS) {
+    meters += graph.edges[path.edges[i]].distance * 1000;
+    i++;
+  }
+  if (meters < BEARING_SAMPLE_METERS) i = step.last + 1;
+  return getBearing(start, graph.nodes[path.nodes[i]]);
+}
+
+/**
+ * Build turn-by-turn directions for a route
+ * Routes with stops get directions per leg with an arrival step after each
+ * @param {Object} path - Path from findRoutePath() or findPath()
+ * @returns {Array} Steps as { text, name, distance, neighborhood, rating, nodes, edges }
+ */
+function buildDirections(path) {
+  const legs = path.legs || [path];
+  if (legs.length < 2) return buildLegDirections(path, 'Arrive at your destination');
+
+  // Legs between two points snapped to the same node have no steps
+  return legs.flatMap((leg, index) => leg.edges.length === 0 ? [] : buildLegDirections(leg,
+    index === legs.length - 1 ? 'Arrive at your destination' : `Arrive at stop ${index + 1}`));
+}
+
+/**
+ * Build turn-by-turn directions for a single leg
+ * @param {Object} path - Path from findPath()
+ * @param {string} arrivalText - Text of the final step
+ * @returns {Array} Steps, see buildDirections()
+ */
+function buildLegDirections(path, arrivalText) {
+  const steps = mergeSteps(path, groupStepsByStreet(path));
+
+  const directions = steps.map((step, index) => {
+    const stretch = {
+      nodes: path.nodes.slice(step.first, step.last + 2),
+      edges: path.edges.slice(step.first, step.last + 1)
+    };
+    const stats = getRouteStats(stretch);
+    const neighborhood = getExposureBreakdown(stretch, 'neighborhood')
+      .sort((a, b) => b.distance - a.distance)[0].name;
+    const streetText = step.name === UNNAMED_STREET ? 'the path' : step.name;
+
+    let action;
+    if (index === 0) {
+      action = `Head ${getCompassDirection(getStepBearing(path, step, false))} on ${streetText}`;
+    } else {
+      const before = getStepBearing(path, steps[index - 1], true);
+      const after = getStepBearing(path, step, false);
+      const angle = ((after - before + 540) % 360) - 180;
+      const turn = describeTurn(angle);
+      action = turn === 'Continue' ? `Continue onto ${streetText}` : `${turn} onto ${streetText}`;
+    }
+
+    const place = neighborhood === 'default' ? '' : `${neighborhood}, `;
+
+    return {
+      text: `${action}, walk ${formatStepDistance(stats.distance)} (${place}${stats.rating.label.toLowerCase()})`,
+      name: step.name,
+      distance: stats.distance,
+      neighborhood,
+      rating: stats.rating,
+      nodes: stretch.nodes,
+      edges: stretch.edges
+    };
+  });
+
+  directions.push({
+    text: arrivalText,
+    name: null,
+    distance: 0,
+    neighborhood: null,
+    rating: null,
+    nodes: path.nodes.slice(-1),
+    edges: []
+  });
+
+  return directions;
+}
+
+/**
+ * Show directions for the active route in the sidebar
+ * Clicking a step zooms the map to it
+ * @param {Object} path - Active route
+ */
+function showDirections(path) {
+  clearDirections();
+
+  const directions = buildDirections(path);
+  const list = document.getElementById('directionsList');
+  list.innerHTML = '';
+
+  directions.forEach((step, index) => {
+    const item = document.createElement('button');
+    item.className = 'direction-step';
+    item.innerHTML = `
+      <span class="step-num">${index + 1}</span>
+      <span>${step.text}</span>
+    `;
+    if (step.rating) item.style.borderLeftColor = step.rating.color;
+
+    item.addEventListener('click', () => {
+      if (directionLayer) map.removeLayer(directionLayer);
+      const coords = getPathCoords(step);
+
+      if (coords.length === 1) {
+        map.setView(coords[0], 18);
+        directionLayer = null;
+        return;
+      }
+
+      directionLayer = L.polyline(coords, {
+        color: '#ffffff',
+        weight: 9,
+        opacity: 0.5
+      }).addTo(map);
+      map.fitBounds(directionLayer.getBounds(), { padding: [80, 80], maxZoom: 18 });
+    });
+
+    list.appendChild(item);
+  });
+
+  document.getElementById('directionsCard').style.display = 'block';
+}
+
+/**
+ * Remove the directions list and step highlight
+ */
+function clearDirections() {
+  if (directionLayer) {
+    map.removeLayer(directionLayer);
+    directionLayer = null;
+  }
+  document.getElementById('directionsCard').style.display = 'none';
+}
@@ -0,0 +1,283 @@
+// ============================================================
+// GEOCODING
+// ============================================================
+// Address search and reverse lookups for the whole app. Answers are
+// cached, requests to each provider are queued to respect its rate limit,
+// and a provider that fails or times out hands over to its fallback.
+// Searches are limited to the selected city's geocoderBounds (cities.js).
+
+// Address of the "local" provider: "safewalk serve" answers Nominatim-style
+// /search and /reverse requests from its street names (see server.js)
+const LOCAL_GEOCODER_URL = 'http://127.0.0.1:8080';
+
+// Give up on a request after this long (ms)
+const GEOCODER_TIMEOUT = 8000;
+
+// Places returned per search
+const GEOCODER_RESULT_LIMIT = 5;
+
+// Most answers kept in the cache (oldest are dropped first)
+const GEOCODER_CACHE_SIZE = 200;
+
+/**
+ * Area searched in the selected city, as Nominatim's viewbox
+ * @returns {Array<number>} [west, north, east, south]
+ */
+function getGeocoderViewbox() {
+  const { west, north, east, south } = activeCity.geocoderBounds;
+  return [west, north, east, south];
+}
+
+/**
+ * Read a Nominatim search result
+ * @param {Object} result - Result from /search
+ * @returns {Object} Place as { lat, lng, label }
+ */
+function readNominatimPlace(result) {
+  return { lat: parseFloat(result.lat), lng: parseFloat(result.lon), label: result.display_name };
+}
+
+/**
+ * Read a Photon result
+ * @param {Object} feature - GeoJSON feature from /api or /reverse
+ * @returns {Object} Place as { lat, lng, label }
+ */
+function readPhotonPlace(feature) {
+  const props = feature.properties;
+  const street = [props.housenumber, props.street].filter(Boolean).join(' ');
+  const parts = [props.name, street, props.city, props.state].filter(Boolean);
+
+  return {
+    lat: feature.geometry.coordinates[1],
+    lng: feature.geometry.coordinates[0],
+    label: [...new Set(parts)].join(', ')
+  };
+}
+
+// Address services, by the name used in the Address Search menu.
+// minInterval is the least time (ms) between two requests to the service;
+// fallback is the provider asked when this one fails; suggest is whether
+// its usage policy allows searching as the user types (Nominatim's
+// forbids autocomplete).
+const GEOCODER_PROVIDERS = {
+  nominatim: {
+    minInterval: 1000,
+    fallback: 'photon',
+    suggest: false,
+    searchUrl: query => 'https://nominatim.openstreetmap.org/search?' +
+      `q=${encodeURIComponent(query)}&format=json&limit=${GEOCODER_RESULT_LIMIT}&` +
+      `bounded=1&viewbox=${getGeocoderViewbox().join(',')}`,
+    reverseUrl: (lat, lng) => `https://nominatim.openstreetmap.org/reverse?lat=${lat}&lon=${lng}&format=json`,
+    readSearch: data => data.map(readNominatimPlace),
+    readReverse: data => data.display_name || null
+  },
+  photon: {
+    minInterval: 1000,
+    fallback: 'nominatim',
+    suggest: true,
+    searchUrl: query => {
+      const { west, north, east, south } = activeCity.geocoderBounds;
+      return `https://photon.komoot.io/api/?q=${encodeURIComponent(query)}&limit=${GEOCODER_RESULT_LIMIT}` +
+        `&bbox=${west},${south},${east},${north}`;
+    },
+    reverseUrl: (lat, lng) => `https://photon.komoot.io/reverse?lat=${lat}&lon=${lng}`,
+    readSearch: data => data.features.map(readPhotonPlace),
+    readReverse: data => data.features.length > 0 ? readPhotonPlace(data.features[0]).label : null
+  },
+  local: {
+    minInterval: 0,
+    fallback: null,
+    suggest: true,
+    searchUrl: query => `${LOCAL_GEOCODER_URL}/search?q=${encodeURIComponent(query)}&limit=${GEOCODER_RESULT_LIMIT}`,
+    reverseUrl: (lat, lng) => `${LOCAL_GEOCODER_URL}/reverse?lat=${lat}&lon=${lng}`,
+    readSearch: data => data.map(readNominatimPlace),
+    readReverse: data => data.display_name || null
+  }
+};
+
+// ============================================================
+// GEOCODER STATE
+// ============================================================
+
+// Provider asked first (Address Search menu)
+let geocoderProvider = 'nominatim';
+
+// Provider asked for suggestions when the selected one doesn't allow them
+const SUGGESTION_PROVIDER = 'photon';
+
+// Answers by request, as promises so repeated lookups share one request
+const geocoderCache = new Map();
+
+// Per provider: settles when the next request may be sent
+const geocoderQueues = {};
+
+/**
+ * Choose the provider asked first
+ * @param {string} name - Key of GEOCODER_PROVIDERS
+ */
+function setGeocoderProvider(name) {
+  if (!GEOCODER_PROVIDERS[name]) throw new Error(`Unknown geocoder: ${name}`);
+  geocoderProvider = name;
+}
+
+// ============================================================
+// REQUESTS
+// ============================================================
+
+/**
+ * Fetch JSON from a provider, giving up after GEOCODER_TIMEOUT
+ * @param {string} url - Request URL
+ * @returns {Promise<Object>} Response body
+ */
+async function fetchGeocoderJSON(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), GEOCODER_TIMEOUT);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal, headers: { Accept: 'application/json' } });
+    if (!response.ok) throw new Error(`Geocoder returned HTTP ${response.status}`);
+    return await response.json();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Send a request once the provider's previous one is at least
+ * minInterval behind it
+ * @param {string} name - Provider name
+ * @param {string} url - Request URL
+ * @returns {Promise<Object>} Response body
+ */
+function queueGeocoderRequest(name, url) {
+  const { minInterval } = GEOCODER_PROVIDERS[name];
+  const ready = geocoderQueues[name] || Promise.resolve();
+
+  const request = ready.then(() => fetchGeocoderJSON(url));
+  geocoderQueues[name] = request
+    .catch(() => {})
+    .then(() => new Promise(resolve => setTimeout(resolve, minInterval)));
+  return request;
+}
+
+/**
+ * Ask a provider, then its fallbacks until one answers
+ * @param {Function} ask - Called with a provider and its name; returns a promise
+ * @param {string} [first] - Provider asked first
+ * @param {Function} [allowed] - Called with a provider; those it rejects are skipped
+ * @returns {Promise<*>} The first answer
+ */
+async function askGeocoders(ask, first = geocoderProvider, allowed = () => true) {
+  const tried = new Set();
+  let name = first;
+  let lastError = new Error('No geocoder may answer this request');
+
+  while (name && !tried.has(name)) {
+    tried.add(name);
+    if (!allowed(GEOCODER_PROVIDERS[name])) {
+      name = GEOCODER_PROVIDERS[name].fallback;
+      continue;
+    }
+    try {
+      return await ask(GEOCODER_PROVIDERS[name], name);
+    } catch (error) {
+      console.warn(`Geocoder ${name} failed:`, error);
+      lastError = error;
+      name = GEOCODER_PROVIDERS[name].fallback;
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Look an answer up in the cache, or work it out and remember it
+ * Failed lookups aren't cached, so they are retried next time.
+ * @param {string} key - Cache key
+ * @param {Function} lookup - Returns a promise of the answer
+ * @returns {Promise<*>} Answer
+ */
+function cachedGeocode(key, lookup) {
+  if (geocoderCache.has(key)) return geocoderCache.get(key);
+
+  const answer = lookup();
+  geocoderCache.set(key, answer);
+  answer.catch(() => geocoderCache.delete(key));
+
+  if (geocoderCache.size > GEOCODER_CACHE_SIZE) {
+    geocoderCache.delete(geocoderCache.keys().next().value);
+  }
+  return answer;
+}
+
+// ============================================================
+// LOOKUPS
+// ============================================================
+
+/**
+ * Search for places matching an address or name
+ * Campus buildings and colleges are answered from the gazetteer
+ * (campus.js) without asking a provider.
+ * @param {string} query - Address or place name
+ * @returns {Promise<Array<Object>>} Places as { lat, lng, label }, best
+ *   first; empty if nothing was found or no provider answered
+ */
+async function searchPlaces(query) {
+  return findPlaces(query, geocoderProvider, () => true);
+}
+
+/**
+ * Suggest places for text still being typed
+ * Only providers whose policy allows autocomplete are asked; if the
+ * selected one doesn't, SUGGESTION_PROVIDER is asked instead.
+ * @param {string} query - Text typed so far
+ * @returns {Promise<Array<Object>>} Places as { lat, lng, label }, best
+ *   first; empty if nothing was found or no provider answered
+ */
+async function suggestPlaces(query) {
+  const first = GEOCODER_PROVIDERS[geocoderProvider].suggest ? geocoderProvider : SUGGESTION_PROVIDER;
+  return findPlaces(query, first, provider => provider.suggest);
+}
+
+/**
+ * Search the campus gazetteer, then the providers
+ * @param {string} query - Address or place name
+ * @param {string} first - Provider asked first
+ * @param {Function} allowed - Called with a provider; those it rejects are skipped
+ * @returns {Promise<Array<Object>>} Places as { lat, lng, label }; empty on failure
+ */
+async function findPlaces(query, first, allowed) {
+  const text = query.trim().replace(/\s+/g, ' ');
+  const campus = searchCampusPlaces(text, GEOCODER_RESULT_LIMIT);
+  if (campus.length > 0) return campus;
+
+  const key = `${first}|search|${text.toLowerCase()}`;
+
+  try {
+    return await cachedGeocode(key, () => askGeocoders(async (provider, name) =>
+      provider.readSearch(await queueGeocoderRequest(name, provider.searchUrl(text))).map(useCampusEntrance),
+    first, allowed));
+  } catch (error) {
+    console.error('Geocoding error:', error);
+    return [];
+  }
+}
+
+/**
+ * Reverse geocode a point to a display name
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Promise<string>} Address, or the coordinates if no provider knows one
+ */
+async function describePoint(lat, lng) {
+  // Points within about a meter share a cache entry
+  const key = `${geocoderProvider}|reverse|${lat.toFixed(5)},${lng.toFixed(5)}`;
+
+  try {
+    const name = await cachedGeocode(key, () => askGeocoders(async (provider, providerName) =>
+      provider.readReverse(await queueGeocoderRequest(providerName, provider.reverseUrl(lat, lng)))));
+    if (name) return name;
+  } catch (error) {
+    console.error('Reverse geocoding error:', error);
+  }
+  return `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
+}
@@ -0,0 +1,844 @@
+// ============================================================
+// STREET GRAPH
+// ============================================================
+// The street network and everything computed on it: crime scores, edge
+// weights, snapping and graph building. No DOM or Leaflet here, so this
+// file also runs inside the background worker (see worker.js) and in
+// Node.js (see core.js).
+
+// Graph structure for pathfinding
+// adjacency[nodeId] lists { to, edgeId } for every edge touching that node.
+// Nodes/edges past baseNodeCount/baseEdgeCount are temporary pieces added
+// when snapping route points onto streets (see snapPointsToNetwork).
+let graph = { nodes: [], edges: [], adjacency: [] };
+
+// Crime points one km of walking is worth when safety and distance are
+// weighted equally
+const DISTANCE_WEIGHT = 100;
+
+// Crime points charged per km walked, per point of a street's crime score:
+// a 100 m block scoring 4 costs 4 points
+const CRIME_WEIGHT = 10;
+
+// Safety vs. distance trade-off: 0 = shortest route, 1 = safest route
+let safetyPriority = 0.5;
+
+// Share of the weight always given to distance, so that among equally safe
+// streets the router still prefers shorter ones
+const MIN_DISTANCE_SHARE = 0.02;
+
+// Departure time the crime scores are computed for
+let departureTime = new Date();
+
+// ============================================================
+// NEIGHBORHOOD & CRIME FUNCTIONS
+// ============================================================
+
+// Grid cell size (degrees) for the neighborhood lookup index
+const NEIGHBORHOOD_CELL_SIZE = 0.01;
+
+// Neighborhoods by grid cell: "row:col" -> [{ feature, bbox }] for every
+// polygon whose bounding box reaches into the cell. Built on first lookup,
+// and again whenever neighborhoodPolygons is replaced.
+let neighborhoodIndex = null;
+
+/**
+ * Index neighborhoodPolygons by bounding box
+ */
+function indexNeighborhoods() {
+  neighborhoodIndex = new Map();
+
+  neighborhoodPolygons.features.forEach(feature => {
+    const bbox = turf.bbox(feature); // [west, south, east, north]
+    const minRow = Math.floor(bbox[1] / NEIGHBORHOOD_CELL_SIZE);
+    const maxRow = Math.floor(bbox[3] / NEIGHBORHOOD_CELL_SIZE);
+    const minCol = Math.floor(bbox[0] / NEIGHBORHOOD_CELL_SIZE);
+    const maxCol = Math.floor(bbox[2] / NEIGHBORHOOD_CELL_SIZE);
+
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        const key = `${row}:${col}`;
+        if (!neighborhoodIndex.has(key)) neighborhoodIndex.set(key, []);
+        neighborhoodIndex.get(key).push({ feature, bbox });
+      }
+    }
+  });
+}
+
+/**
+ * Get neighborhood name for a point using Turf.js point-in-polygon
+ * Only polygons whose bounding box holds the point are tested.
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {string} Neighborhood name or "default"
+ */
+function getNeighborhoodForPoint(lat, lng) {
+  if (!neighborhoodIndex) indexNeighborhoods();
+
+  const point = turf.point([lng, lat]); // Note: Turf uses [lng, lat]
+  const key = `${Math.floor(lat / NEIGHBORHOOD_CELL_SIZE)}:${Math.floor(lng / NEIGHBORHOOD_CELL_SIZE)}`;
+  const candidates = neighborhoodIndex.get(key) || [];
+
+  // Cells list polygons in file order, so the first listed still wins
+  for (const { feature, bbox } of candidates) {
+    if (lng < bbox[0] || lat < bbox[1] || lng > bbox[2] || lat > bbox[3]) continue;
+    if (turf.booleanPointInPolygon(point, feature)) {
+      return feature.properties.name;
+    }
+  }
+
+  return "default"; // Fallback
+}
+
+/**
+ * Look up the neighborhood of every street segment, from its midpoint
+ * Build queries do this once for each graph they build (see runCoreQuery);
+ * it runs again when the neighborhood boundaries change.
+ * @param {Object} [target] - Graph to fill in (defaults to the active one)
+ */
+function assignEdgeNeighborhoods(target = graph) {
+  target.edges.forEach(edge => {
+    const a = target.nodes[edge.from];
+    const b = target.nodes[edge.to];
+    edge.neighborhood = getNeighborhoodForPoint((a.lat + b.lat) / 2, (a.lng + b.lng) / 2);
+  });
+}
+
+// Typical score of a street in a baseline (factor 1.0) neighborhood,
+// used when no incident data covers a street
+const FALLBACK_BASE_CRIMES = 4;
+
+/**
+ * Fallback crime estimate from the neighborhood safety factor alone
+ * Used for streets that have no incident data
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Date} [time] - Departure time (defaults to the selected one)
+ * @returns {number} Crime score (0-14)
+ */
+function getCrimeLevel(lat, lng, time = departureTime) {
+  return getNeighborhoodCrimeLevel(getNeighborhoodForPoint(lat, lng), time);
+}
+
+/**
+ * Fallback crime estimate for a neighborhood at a given time
+ * Scales the safety factor by the neighborhood's night multiplier after dark
+ * @param {string} neighborhood - Neighborhood name
+ * @param {Date} time - Departure time
+ * @returns {number} Crime score (0-14)
+ */
+function getNeighborhoodCrimeLevel(neighborhood, time) {
+  const safeFactor = neighborhoodSafetyFactors[neighborhood] || neighborhoodSafetyFactors.default;
+  const nightMultiplier = neighborhoodNightMultipliers[neighborhood] || neighborhoodNightMultipliers.default;
+  const timeFactor = 1 + (nightMultiplier - 1) * getTimeBucket(time).nightWeight;
+
+  return Math.min(14, Math.round(FALLBACK_BASE_CRIMES * safeFactor * timeFactor));
+}
+
+// Time-weighted incident severity per km of street that makes one crime
+// point, putting incident scores on the neighborhood estimate's scale
+const INCIDENT_SEVERITY_PER_KM_PER_POINT = 10;
+
+// Shortest length an incident score is spread over, so one incident on a
+// few meters of crossing doesn't read as a very dangerous street
+const MIN_INCIDENT_SCORE_KM = 0.04;
+
+/**
+ * Crime score for an edge at the selected departure time
+ * Scores are a level per km of street, so splitting a street into more
+ * edges leaves them unchanged: the time-weighted severity of the incidents
+ * assigned to the edge, divided by its length. Falls back to the
+ * neighborhood estimate when no incident data covers the edge.
+ * @param {Object} edge - Graph edge
+ * @returns {number} Crime score
+ */
+function getEdgeCrimes(edge) {
+  if (edge.incidents) {
+    const total = edge.incidents.reduce((sum, incident) =>
+      sum + incident.severity * getIncidentTimeWeight(incident, departureTime), 0);
+    const perKm = total / Math.max(edge.distance, MIN_INCIDENT_SCORE_KM);
+    return Math.round(perKm / INCIDENT_SEVERITY_PER_KM_PER_POINT * 10) / 10;
+  }
+
+  return getNeighborhoodCrimeLevel(edge.neighborhood, departureTime);
+}
+
+/**
+ * Recompute crime scores for every edge
+ * Call assignIncidentsToEdges() first if the graph or incidents changed
+ */
+function scoreEdges() {
+  graph.edges.forEach(edge => {
+    edge.crimes = getEdgeCrimes(edge);
+    edge.crimeSource = edge.incidents ? 'incidents' : 'neighborhood';
+    edge.tagPenalty = getEdgeTagPenalty(edge, departureTime);
+  });
+}
+
+// ============================================================
+// PEDESTRIAN NETWORK
+// ============================================================
+
+// OSM highway classes that can be walked. Motorways and trunk roads are
+// left out entirely; so are ways tagged foot=no or closed to the public.
+const WALKABLE_HIGHWAYS = [
+  'primary', 'primary_link', 'secondary', 'secondary_link', 'tertiary', 'tertiary_link',
+  'residential', 'living_street', 'unclassified', 'service', 'road',
+  'pedestrian', 'footway', 'path', 'steps', 'cycleway', 'track', 'corridor'
+];
+
+// Busy road classes where a missing sidewalk means walking in traffic
+const BUSY_HIGHWAYS = ['primary', 'primary_link', 'secondary', 'secondary_link', 'tertiary', 'tertiary_link'];
+
+// OSM tags kept on each edge
+const PEDESTRIAN_TAGS = ['highway', 'footway', 'crossing', 'lit', 'sidewalk', 'foot', 'access', 'surface', 'incline', 'kerb', 'wheelchair'];
+
+// Extra crime points per km of unlit street at full night, and per km of
+// busy road without a sidewalk. Added to the safety side of the weight only.
+const UNLIT_PENALTY_PER_KM = 20;
+const NO_SIDEWALK_PENALTY_PER_KM = 15;
+
+/**
+ * Check whether an OSM way can be walked
+ * @param {Object} tags - OSM way tags
+ * @returns {boolean} True if pedestrians may use it
+ */
+function isWalkableWay(tags) {
+  if (!WALKABLE_HIGHWAYS.includes(tags.highway)) return false;
+  if (tags.foot === 'no') return false;
+
+  // access=no/private closes a way unless walking is explicitly allowed
+  const footAllowed = ['yes', 'designated', 'permissive'].includes(tags.foot);
+  if (['no', 'private'].includes(tags.access) && !footAllowed) return false;
+
+  return true;
+}
+
+/**
+ * Keep the OSM tags that matter for walking
+ * @param {Object} tags - OSM way tags
+ * @returns {Object} Subset of PEDESTRIAN_TAGS present on the way
+ */
+function getPedestrianTags(tags) {
+  const kept = {};
+  PEDESTRIAN_TAGS.forEach(key => {
+    if (tags[key] !== undefined) kept[key] = tags[key];
+  });
+  return kept;
+}
+
+/**
+ * Check whether an edge is a busy road with no sidewalk to walk on
+ * @param {Object} edge - Graph edge
+ * @returns {boolean} True if the road is tagged sidewalk=no/none
+ */
+function lacksSidewalk(edge) {
+  const tags = edge.tags || {};
+  return BUSY_HIGHWAYS.includes(tags.highway) && ['no', 'none'].includes(tags.sidewalk);
+}
+
+/**
+ * Extra safety cost of an edge from its OSM tags at a given time
+ * Unlit streets cost more after dark; busy roads without a sidewalk always do
+ * @param {Object} edge - Graph edge
+ * @param {Date} time - Departure time
+ * @returns {number} Penalty in crime points
+ */
+function getEdgeTagPenalty(edge, time) {
+  const tags = edge.tags || {};
+  let perKm = 0;
+
+  if (tags.lit === 'no') perKm += UNLIT_PENALTY_PER_KM * getTimeBucket(time).nightWeight;
+  if (lacksSidewalk(edge)) perKm += NO_SIDEWALK_PENALTY_PER_KM;
+
+  return Math.round(perKm * edge.distance * 10) / 10;
+}
+
+// ============================================================
+// ACCESSIBILITY PROFILE
+// ============================================================
+
+// Routing profile: 'walking', or 'accessible' for wheelchair users and
+// people with limited mobility
+let routingProfile = 'walking';
+
+// Steepest grade (percent) the accessible profile will use at all
+const MAX_ACCESSIBLE_INCLINE = 8;
+
+// Weight multiplier added per percent of grade below that limit
+const INCLINE_FACTOR_PER_PERCENT = 0.1;
+
+// Surfaces that are hard going in a wheelchair, and their weight multiplier
+const ROUGH_SURFACES = [
+  'cobblestone', 'sett', 'unhewn_cobblestone', 'pebblestone', 'gravel', 'fine_gravel',
+  'unpaved', 'dirt', 'ground', 'grass', 'sand', 'mud', 'woodchips', 'rock'
+];
+const ROUGH_SURFACE_FACTOR = 1.5;
+
+// Kerb values that can't be rolled over
+const BLOCKING_KERBS = ['raised', 'yes'];
+
+/**
+ * Read an OSM incline tag as a grade in percent
+ * @param {string} [value] - e.g. "10%", "-6%", "4°", or "up"/"down"
+ * @returns {number|null} Absolute grade in percent, or null if not numeric
+ */
+function parseIncline(value) {
+  const match = /^(-?\d+(?:\.\d+)?)\s*(%|°)?$/.exec(String(value || '').trim());
+  if (!match) return null;
+
+  const number = Math.abs(Number(match[1]));
+  return match[2] === '°' ? Math.tan(number * Math.PI / 180) * 100 : number;
+}
+
+/**
+ * Why an edge can't be used by the accessible profile
+ * @param {Object} edge - Graph edge
+ * @returns {string|null} Reason such as "steps", or null if passable
+ */
+function getAccessibilityBarrier(edge) {
+  const tags = edge.tags || {};
+
+  if (tags.highway === 'steps') return 'steps';
+  if (tags.wheelchair === 'no') return 'not wheelchair accessible';
+  if (BLOCKING_KERBS.includes(tags.kerb) ||
+      BLOCKING_KERBS.includes(graph.nodes[edge.from].kerb) ||
+      BLOCKING_KERBS.includes(graph.nodes[edge.to].kerb)) return 'raised kerb';
+
+  const incline = parseIncline(tags.incline);
+  if (incline !== null && incline > MAX_ACCESSIBLE_INCLINE) return `steep incline (${Math.round(incline)}%)`;
+
+  return null;
+}
+
+/**
+ * Weight multiplier for an edge under the accessible profile
+ * Penalizes moderate inclines, rough surfaces and limited wheelchair access
+ * @param {Object} edge - Graph edge
+ * @returns {number} Multiplier (>= 1)
+ */
+function getAccessibilityFactor(edge) {
+  const tags = edge.tags || {};
+  let factor = 1;
+
+  const incline = parseIncline(tags.incline);
+  if (incline !== null) factor += incline * INCLINE_FACTOR_PER_PERCENT;
+  if (ROUGH_SURFACES.includes(tags.surface)) factor += ROUGH_SURFACE_FACTOR - 1;
+  if (tags.wheelchair === 'limited') factor += 0.5;
+
+  return factor;
+}
+
+/**
+ * Check whether a profile may use an edge
+ * @param {Object} edge - Graph edge
+ * @param {string} [profile] - Routing profile (defaults to the selected one)
+ * @returns {boolean} True if the edge is usable
+ */
+function isEdgePassable(edge, profile = routingProfile) {
+  return profile !== 'accessible' || !getAccessibilityBarrier(edge);
+}
+
+/**
+ * Share of the routing weight given to distance at a safety priority
+ * @param {number} priority - Safety priority (0 = shortest, 1 = safest)
+ * @returns {number} Distance share (MIN_DISTANCE_SHARE-1)
+ */
+function getDistanceShare(priority) {
+  return Math.max(1 - priority, MIN_DISTANCE_SHARE);
+}
+
+/**
+ * Routing weight of an edge
+ * Blends crime exposure (score times length, plus any unlit/no-sidewalk
+ * penalty) and distance according to the safety priority, scaled up for
+ * hard going under the accessible profile
+ * @param {Object} edge - Graph edge
+ * @param {number} [priority] - Safety priority (defaults to the slider value)
+ * @param {string} [profile] - Routing profile (defaults to the selected one)
+ * @returns {number} Edge weight
+ */
+function getEdgeWeight(edge, priority = safetyPriority, profile = routingProfile) {
+  const safetyCost = edge.crimes * edge.distance * CRIME_WEIGHT + (edge.tagPenalty || 0);
+  const weight = priority * safetyCost + getDistanceShare(priority) * edge.distance * DISTANCE_WEIGHT;
+  return profile === 'accessible' ? weight * getAccessibilityFactor(edge) : weight;
+}
+
+// ============================================================
+// UTILITY FUNCTIONS
+// ============================================================
+
+/**
+ * Calculate distance between two points using Haversine formula
+ * @param {number} lat1 - First latitude
+ * @param {number} lng1 - First longitude
+ * @param {number} lat2 - Second latitude
+ * @param {number} lng2 - Second longitude
+ * @returns {number} Distance in kilometers
+ */
+function getDistance(lat1, lng1, lat2, lng2) {
+  const R = 6371; // Earth's radius in km
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLng = (lng2 - lng1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+}
+
+/**
+ * Project a point onto a line segment
+ * Uses a local equirectangular projection, which is accurate at street scale
+ * @param {number} lat - Point latitude
+ * @param {number} lng - Point longitude
+ * @param {Object} a - Segment start { lat, lng }
+ * @param {Object} b - Segment end { lat, lng }
+ * @returns {Object} { t, meters }: position along the segment (0-1) and distance to it
+ */
+function projectOntoSegment(lat, lng, a, b) {
+  const mPerLat = 111320;
+  const mPerLng = 111320 * Math.cos(lat * Math.PI / 180);
+
+  const ax = (a.lng - lng) * mPerLng, ay = (a.lat - lat) * mPerLat;
+  const bx = (b.lng - lng) * mPerLng, by = (b.lat - lat) * mPerLat;
+  const dx = bx - ax, dy = by - ay;
+  const lenSq = dx * dx + dy * dy;
+
+  // Projection of the point (origin) onto the segment, clamped to its ends
+  const t = lenSq === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lenSq));
+  const px = ax + t * dx, py = ay + t * dy;
+  return { t, meters: Math.sqrt(px * px + py * py) };
+}
+
+/**
+ * Distance from a point to a line segment, in meters
+ * @param {number} lat - Point latitude
+ * @param {number} lng - Point longitude
+ * @param {Object} a - Segment start { lat, lng }
+ * @param {Object} b - Segment end { lat, lng }
+ * @returns {number} Distance in meters
+ */
+function distanceToSegment(lat, lng, a, b) {
+  return projectOntoSegment(lat, lng, a, b).meters;
+}
+
+// ============================================================
+// SPATIAL INDEX & SNAPPING
+// ============================================================
+
+// Grid cell size (degrees) for the edge lookup index
+const EDGE_CELL_SIZE = 0.0015;
+
+// Give up looking for a street this many grid rings away from a point
+const MAX_SNAP_RINGS = 40;
+
+// Snap points this close (meters) to an edge end use that node instead of
+// splitting the edge
+const SNAP_NODE_METERS = 1;
+
+/**
+ * Grid cell key for a coordinate
+ * @param {number} row - Cell row
+ * @param {number} col - Cell column
+ * @returns {string} Key
+ */
+function edgeCellKey(row, col) {
+  return `${row}:${col}`;
+}
+
+/**
+ * Build a grid index of edges so nearby streets can be found without
+ * scanning the whole network. Each edge is listed in every cell its
+ * bounding box touches.
+ */
+function buildEdgeIndex() {
+  graph.edgeIndex = new Map();
+
+  graph.edges.forEach(edge => {
+    const a = graph.nodes[edge.from];
+    const b = graph.nodes[edge.to];
+    const minRow = Math.floor(Math.min(a.lat, b.lat) / EDGE_CELL_SIZE);
+    const maxRow = Math.floor(Math.max(a.lat, b.lat) / EDGE_CELL_SIZE);
+    const minCol = Math.floor(Math.min(a.lng, b.lng) / EDGE_CELL_SIZE);
+    const maxCol = Math.floor(Math.max(a.lng, b.lng) / EDGE_CELL_SIZE);
+
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        const key = edgeCellKey(row, col);
+        if (!graph.edgeIndex.has(key)) graph.edgeIndex.set(key, []);
+        graph.edgeIndex.get(key).push(edge.id);
+      }
+    }
+  });
+}
+
+/**
+ * Label connected parts of the network and remember the largest one
+ * Streets cut off from it (parking lots, fragments at the bbox edge)
+ * can't be routed to, so points are never snapped onto them.
+ */
+function findComponents() {
+  graph.componentOf = new Array(graph.nodes.length).fill(-1);
+  const sizes = [];
+
+  graph.nodes.forEach(node => {
+    if (graph.componentOf[node.id] !== -1) return;
+
+    const component = sizes.length;
+    const stack = [node.id];
+    graph.componentOf[node.id] = component;
+    let size = 0;
+
+    while (stack.length > 0) {
+      const current = stack.pop();
+      size++;
+      graph.adjacency[current].forEach(({ to }) => {
+        if (graph.componentOf[to] === -1) {
+          graph.componentOf[to] = component;
+          stack.push(to);
+        }
+      });
+    }
+
+    sizes.push(size);
+  });
+
+  // reduce, not Math.max(...sizes): a large import can have more components
+  // than a call takes arguments
+  graph.mainComponent = sizes.reduce((best, size, component) =>
+    best === -1 || size > sizes[best] ? component : best, -1);
+}
+
+/**
+ * Find the closest point on a routable street
+ * Searches the edge index in growing rings of cells around the point,
+ * skipping streets the profile can't use
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {string} [profile] - Routing profile (defaults to the selected one)
+ * @returns {Object|null} { edgeId, t, meters }: the edge, position along it (0-1) and distance
+ */
+function findNearestEdge(lat, lng, profile = routingProfile) {
+  const row = Math.floor(lat / EDGE_CELL_SIZE);
+  const col = Math.floor(lng / EDGE_CELL_SIZE);
+
+  // Smallest cell side in meters, so ring r is at least (r - 1) cells away
+  const cellMeters = EDGE_CELL_SIZE * 111320 * Math.cos(lat * Math.PI / 180);
+
+  let best = null;
+  const checked = new Set();
+
+  for (let ring = 0; ring <= MAX_SNAP_RINGS; ring++) {
+    if (best && best.meters < (ring - 1) * cellMeters) break;
+
+    for (let r = row - ring; r <= row + ring; r++) {
+      for (let c = col - ring; c <= col + ring; c++) {
+        // Only the cells on the border of this ring are new
+        if (Math.abs(r - row) !== ring && Math.abs(c - col) !== ring) continue;
+
+        (graph.edgeIndex.get(edgeCellKey(r, c)) || []).forEach(edgeId => {
+          if (checked.has(edgeId)) return;
+          checked.add(edgeId);
+
+          const edge = graph.edges[edgeId];
+          if (graph.componentOf[edge.from] !== graph.mainComponent || !isEdgePassable(edge, profile)) return;
+
+          const { t, meters } = projectOntoSegment(lat, lng, graph.nodes[edge.from], graph.nodes[edge.to]);
+          if (!best || meters < best.meters) best = { edgeId, t, meters };
+        });
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Remove the temporary nodes and edges added by snapPointsToNetwork()
+ */
+function clearSnapPoints() {
+  if (graph.nodes.length === graph.baseNodeCount && graph.edges.length === graph.baseEdgeCount) return;
+
+  graph.nodes.length = graph.baseNodeCount;
+  graph.edges.length = graph.baseEdgeCount;
+  buildAdjacency();
+}
+
+/**
+ * Split an edge at several positions with temporary nodes
+ * The edge is replaced in the adjacency index by a chain of pieces that
+ * keep its street name, neighborhood and crime data.
+ * @param {number} edgeId - Edge to split
+ * @param {Array<number>} positions - Sorted positions along the edge (0-1, exclusive)
+ * @returns {Array<number>} IDs of the new nodes, in the same order
+ */
+function splitEdge(edgeId, positions) {
+  const edge = graph.edges[edgeId];
+  const from = graph.nodes[edge.from];
+  const to = graph.nodes[edge.to];
+
+  const nodeIds = positions.map(t => {
+    const id = graph.nodes.length;
+    graph.nodes.push({
+      id,
+      lat: from.lat + (to.lat - from.lat) * t,
+      lng: from.lng + (to.lng - from.lng) * t,
+      virtual: true
+    });
+    graph.adjacency.push([]);
+    return id;
+  });
+
+  // Unhook the original edge
+  graph.adjacency[edge.from] = graph.adjacency[edge.from].filter(entry => entry.edgeId !== edgeId);
+  graph.adjacency[edge.to] = graph.adjacency[edge.to].filter(entry => entry.edgeId !== edgeId);
+
+  // Chain of pieces: from -> first new node -> ... -> to
+  const chain = [edge.from, ...nodeIds, edge.to];
+  const cuts = [0, ...positions, 1];
+
+  for (let i = 0; i < chain.length - 1; i++) {
+    const piece = {
+      ...edge,
+      id: graph.edges.length,
+      from: chain[i],
+      to: chain[i + 1],
+      distance: edge.distance * (cuts[i + 1] - cuts[i]),
+      virtual: true,
+      parentEdge: edgeId
+    };
+    graph.edges.push(piece);
+    graph.adjacency[piece.from].push({ to: piece.to, edgeId: piece.id });
+    graph.adjacency[piece.to].push({ to: piece.from, edgeId: piece.id });
+  }
+
+  return nodeIds;
+}
+
+/**
+ * Snap points onto the closest point of the closest routable street
+ * Edges are split temporarily where needed; the previous snap's temporary
+ * nodes are removed first.
+ * The result only depends on the points, profile and base graph, so the
+ * background worker and the page snap to the same node IDs.
+ * @param {Array<Object>} points - Points as { lat, lng }
+ * @param {string} [profile] - Routing profile (defaults to the selected one)
+ * @returns {Array<Object>|null} Waypoints as { nodeId, lat, lng } (lat/lng are
+ *   the original point), or null if a point has no street nearby
+ */
+function snapPointsToNetwork(points, profile = routingProfile) {
+  clearSnapPoints();
+
+  const snaps = points.map(point => findNearestEdge(point.lat, point.lng, profile));
+  if (snaps.some(snap => !snap)) return null;
+
+  // Resolve each snap to a node: an edge end, or a new node splitting the edge
+  const nodeIds = new Array(points.length);
+  const splits = new Map(); // edgeId -> [{ index, t }]
+
+  snaps.forEach((snap, index) => {
+    const edge = graph.edges[snap.edgeId];
+    const meters = edge.distance * 1000;
+
+    if (snap.t * meters <= SNAP_NODE_METERS) {
+      nodeIds[index] = edge.from;
+    } else if ((1 - snap.t) * meters <= SNAP_NODE_METERS) {
+      nodeIds[index] = edge.to;
+    } else {
+      if (!splits.has(snap.edgeId)) splits.set(snap.edgeId, []);
+      splits.get(snap.edgeId).push({ index, t: snap.t });
+    }
+  });
+
+  splits.forEach((entries, edgeId) => {
+    const positions = [...new Set(entries.map(entry => entry.t))].sort((a, b) => a - b);
+    const newNodes = splitEdge(edgeId, positions);
+    entries.forEach(entry => {
+      nodeIds[entry.index] = newNodes[positions.indexOf(entry.t)];
+    });
+  });
+
+  return points.map((point, index) => ({ nodeId: nodeIds[index], lat: point.lat, lng: point.lng }));
+}
+
+/**
+ * Build the adjacency index used by the router
+ * Edges are bidirectional, so each edge is listed under both of its nodes
+ */
+function buildAdjacency() {
+  graph.adjacency = graph.nodes.map(() => []);
+
+  graph.edges.forEach(edge => {
+    graph.adjacency[edge.from].push({ to: edge.to, edgeId: edge.id });
+    graph.adjacency[edge.to].push({ to: edge.from, edgeId: edge.id });
+  });
+}
+
+/**
+ * Build the lookup structures for a freshly loaded graph: adjacency, edge
+ * index and connected components. Everything after this is a snap point.
+ */
+function indexStreetGraph() {
+  buildAdjacency();
+  buildEdgeIndex();
+  findComponents();
+  graph.baseNodeCount = graph.nodes.length;
+  graph.baseEdgeCount = graph.edges.length;
+}
+
+// ============================================================
+// BUILDING THE GRAPH
+// ============================================================
+
+// Report building progress every this many ways
+const GRAPH_PROGRESS_STEP = 200;
+
+/**
+ * Build the routing graph from OSM elements
+ * Accepts the element list of an Overpass JSON response, or the same shape
+ * parsed from an .osm file (see parseOSMFile)
+ * @param {Array} elements - OSM nodes and ways
+ * @param {Function} [onProgress] - Called with { phase, done, total } while building
+ * @returns {Object} { nodes, edges, adjacency } with crime scores and
+ *   neighborhoods not yet filled in (see assignEdgeNeighborhoods)
+ */
+function buildStreetGraph(elements, onProgress = () => {}) {
+  const built = { nodes: [], edges: [], adjacency: [] };
+  const osmNodes = {};
+  const ways = [];
+
+  // First pass: collect all nodes (kerb tags matter for the accessible profile)
+  elements.forEach(element => {
+    if (element.type === 'node') {
+      osmNodes[element.id] = { lat: element.lat, lon: element.lon, kerb: element.tags && element.tags.kerb };
+    }
+  });
+
+  // Second pass: collect all walkable ways
+  elements.forEach(element => {
+    if (element.type === 'way' && element.nodes && element.nodes.length > 1 &&
+        isWalkableWay(element.tags || {})) {
+      ways.push({ id: element.id, nodes: element.nodes, tags: element.tags || {} });
+    }
+  });
+
+  // Build graph: create nodes
+  const nodeMap = new Map();
+  let nodeIdCounter = 0;
+
+  ways.forEach(way => {
+    way.nodes.forEach(osmNodeId => {
+      if (!nodeMap.has(osmNodeId) && osmNodes[osmNodeId]) {
+        const osmNode = osmNodes[osmNodeId];
+        built.nodes.push({
+          id: nodeIdCounter,
+          lat: osmNode.lat,
+          lng: osmNode.lon,
+          osmId: osmNodeId
+        });
+        if (osmNode.kerb) built.nodes[nodeIdCounter].kerb = osmNode.kerb;
+        nodeMap.set(osmNodeId, nodeIdCounter);
+        nodeIdCounter++;
+      }
+    });
+  });
+
+  // Build graph: create edges. Crime scores are filled in by scoreEdges,
+  // neighborhoods by assignEdgeNeighborhoods.
+  ways.forEach((way, wayIndex) => {
+    if (wayIndex % GRAPH_PROGRESS_STEP === 0) onProgress({ phase: 'building', done: wayIndex, total: ways.length });
+
+    for (let i = 0; i < way.nodes.length - 1; i++) {
+      const fromOsmId = way.nodes[i];
+      const toOsmId = way.nodes[i + 1];
+      if (!osmNodes[fromOsmId] || !osmNodes[toOsmId]) continue;
+
+      const fromId = nodeMap.get(fromOsmId);
+      const toId = nodeMap.get(toOsmId);
+
+      const fromNode = built.nodes[fromId];
+      const toNode = built.nodes[toId];
+
+      const distance = getDistance(fromNode.lat, fromNode.lng, toNode.lat, toNode.lng);
+
+      built.edges.push({
+        id: built.edges.length,
+        from: fromId,
+        to: toId,
+        crimes: 0,
+        distance: distance,
+        wayId: way.id,
+        streetName: way.tags.name || 'Unnamed Street',
+        neighborhood: 'default',
+        tags: getPedestrianTags(way.tags)
+      });
+    }
+  });
+
+  return built;
+}
+
+/**
+ * Join several graphs (tiles, imported files) into one
+ * Nodes are matched by OSM node ID, so ways that cross a tile border
+ * connect; a way segment present in more than one tile is kept once.
+ * @param {Array<Object>} parts - Graphs from buildStreetGraph()
+ * @returns {Object} { nodes, edges, adjacency } with crime scores not yet filled in
+ */
+function mergeStreetGraphs(parts) {
+  const merged = { nodes: [], edges: [], adjacency: [] };
+  const nodeIds = new Map(); // osmId -> merged node ID
+  const segments = new Set();
+
+  parts.forEach(part => {
+    const localIds = part.nodes.map(node => {
+      if (!nodeIds.has(node.osmId)) {
+        nodeIds.set(node.osmId, merged.nodes.length);
+        merged.nodes.push({ ...node, id: merged.nodes.length });
+      }
+      return nodeIds.get(node.osmId);
+    });
+
+    part.edges.forEach(edge => {
+      const from = localIds[edge.from];
+      const to = localIds[edge.to];
+      const key = `${edge.wayId}:${Math.min(from, to)}:${Math.max(from, to)}`;
+      if (segments.has(key)) return;
+
+      segments.add(key);
+      merged.edges.push({ ...edge, id: merged.edges.length, from, to, crimes: 0 });
+    });
+  });
+
+  return merged;
+}
+
+/**
+ * Download the walkable ways in a bounding box from the Overpass API
+ * @param {Object} bbox - { south, west, north, east }
+ * @returns {Promise<Array>} OSM elements
+ */
+async function fetchStreetElements(bbox) {
+  // Overpass API query for walkable ways (roads, footways, paths, steps,
+  // crossings); access tags are checked again in isWalkableWay()
+  const query = `
+    [out:json][timeout:25];
+    (
+      way["highway"~"^(${WALKABLE_HIGHWAYS.join('|')})$"]["foot"!="no"]
+      (${bbox.south},${bbox.west},${bbox.north},${bbox.east});
+    );
+    out body;
+    >;
+    out body qt;
+  `;
+
+  const response = await fetch('https://overpass-api.de/api/interpreter', {
+    method: 'POST',
+    body: query
+  });
+  if (!response.ok) throw new Error(`Overpass returned ${response.status}`);
+
+  const data = await response.json();
+  return data.elements;
+}
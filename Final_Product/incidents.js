@@ -0,0 +1,309 @@
+// ============================================================
+// CRIME INCIDENT DATA
+// ============================================================
+// Reported incidents imported from a local CSV or GeoJSON file.
+// Each incident is { lat, lng, date, offense, severity }.
+
+// Incidents currently loaded (empty until a file is imported)
+let crimeIncidents = [];
+
+// Incidents within this many meters of a street segment count toward the
+// nearest one
+const INCIDENT_RADIUS_METERS = 40;
+
+// Grid cell size (degrees) for the incident lookup index
+const INCIDENT_CELL_SIZE = 0.002;
+
+// Relative weight of incidents outside the selected time bucket / day type
+const OTHER_BUCKET_WEIGHT = 0.25;
+const OTHER_DAY_TYPE_WEIGHT = 0.5;
+
+// ============================================================
+// PARSING
+// ============================================================
+
+/**
+ * Parse an incident file based on its extension
+ * @param {string} fileName - Name of the imported file
+ * @param {string} text - File contents
+ * @returns {Array} Parsed incidents
+ */
+function parseIncidentFile(fileName, text) {
+  const lower = fileName.toLowerCase();
+  if (lower.endsWith('.json') || lower.endsWith('.geojson')) {
+    return parseIncidentGeoJSON(JSON.parse(text));
+  }
+  return parseIncidentCSV(text);
+}
+
+/**
+ * Parse incidents from a GeoJSON FeatureCollection of points
+ * @param {Object} geojson - FeatureCollection
+ * @returns {Array} Parsed incidents
+ */
+function parseIncidentGeoJSON(geojson) {
+  const incidents = [];
+
+  (geojson.features || []).forEach(feature => {
+    if (!feature.geometry || feature.geometry.type !== 'Point') return;
+    const [lng, lat] = feature.geometry.coordinates;
+    const incident = makeIncident(lat, lng, feature.properties || {});
+    if (incident) incidents.push(incident);
+  });
+
+  return incidents;
+}
+
+/**
+ * Parse incidents from CSV text with a header row
+ * Recognizes lat/latitude, lng/lon/longitude, date and offense/type columns
+ * @param {string} text - CSV contents
+ * @returns {Array} Parsed incidents
+ */
+function parseIncidentCSV(text) {
+  const rows = splitCSV(text);
+  if (rows.length < 2) return [];
+
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  const incidents = [];
+
+  rows.slice(1).forEach(row => {
+    const record = {};
+    header.forEach((key, i) => { record[key] = row[i]; });
+
+    const lat = pickField(record, ['lat', 'latitude', 'y']);
+    const lng = pickField(record, ['lng', 'lon', 'long', 'longitude', 'x']);
+    const incident = makeIncident(parseFloat(lat), parseFloat(lng), record);
+    if (incident) incidents.push(incident);
+  });
+
+  return incidents;
+}
+
+/**
+ * Split CSV text into rows of fields, honoring double-quoted fields
+ * @param {string} text - CSV contents
+ * @returns {Array<Array<string>>} Rows
+ */
+function splitCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(f => f.trim() !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  row.push(field);
+  if (row.some(f => f.trim() !== '')) rows.push(row);
+  return rows;
+}
+
+/**
+ * Return the first non-empty value among several candidate keys
+ * @param {Object} record - Record with lowercased keys
+ * @param {Array<string>} keys - Candidate keys in priority order
+ * @returns {string|undefined} Field value
+ */
+function pickField(record, keys) {
+  for (const key of keys) {
+    const value = record[key];
+    if (value !== undefined && value !== null && String(value).trim() !== '') return value;
+  }
+  return undefined;
+}
+
+/**
+ * Build an incident from coordinates and a property record
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Object} props - Remaining properties (date, offense type)
+ * @returns {Object|null} Incident, or null if the coordinates are invalid
+ */
+function makeIncident(lat, lng, props) {
+  if (!isFinite(lat) || !isFinite(lng)) return null;
+
+  const lowerProps = {};
+  Object.keys(props).forEach(key => { lowerProps[key.toLowerCase()] = props[key]; });
+
+  const offense = String(pickField(lowerProps, ['offense', 'offense_type', 'type', 'category', 'description']) || 'unknown');
+  const rawDate = pickField(lowerProps, ['date', 'datetime', 'occurred', 'occurred_at', 'reported']);
+  const date = rawDate ? new Date(rawDate) : null;
+
+  return {
+    lat,
+    lng,
+    date: date && !isNaN(date.getTime()) ? date : null,
+    offense,
+    severity: getOffenseSeverity(offense)
+  };
+}
+
+/**
+ * Look up the severity weight for an offense type
+ * @param {string} offense - Offense type as reported
+ * @returns {number} Severity weight
+ */
+function getOffenseSeverity(offense) {
+  const lower = offense.toLowerCase();
+  const entry = offenseSeverityWeights.find(e => e.match !== 'default' && lower.includes(e.match));
+  return entry ? entry.weight : offenseSeverityWeights.find(e => e.match === 'default').weight;
+}
+
+// ============================================================
+// TIME WEIGHTING
+// ============================================================
+
+/**
+ * Find the time-of-day bucket for a date
+ * @param {Date} date - Local date/time
+ * @returns {Object} Entry from timeOfDayBuckets
+ */
+function getTimeBucket(date) {
+  const hour = date.getHours();
+  return timeOfDayBuckets.find(b => hour >= b.start && hour < b.end);
+}
+
+/**
+ * Whether a date falls on a Saturday or Sunday
+ * @param {Date} date - Local date/time
+ * @returns {boolean} True on weekends
+ */
+function isWeekend(date) {
+  const day = date.getDay();
+  return day === 0 || day === 6;
+}
+
+/**
+ * Weight of one incident at the selected time
+ * Incidents in the same time bucket and day type count fully, others are
+ * discounted. The result is normalized so that incidents spread evenly over
+ * the week average to 1, keeping scores on the same scale at every time.
+ * Undated incidents always count as 1.
+ * @param {Object} incident - Incident
+ * @param {Date} time - Selected departure time
+ * @returns {number} Weight multiplier
+ */
+function getIncidentTimeWeight(incident, time) {
+  if (!incident.date) return 1;
+
+  const bucket = getTimeBucket(time);
+  const weekend = isWeekend(time);
+
+  const bucketShare = (bucket.end - bucket.start) / 24;
+  const dayShare = weekend ? 2 / 7 : 5 / 7;
+  const expected = (bucketShare + (1 - bucketShare) * OTHER_BUCKET_WEIGHT) *
+    (dayShare + (1 - dayShare) * OTHER_DAY_TYPE_WEIGHT);
+
+  const bucketWeight = getTimeBucket(incident.date) === bucket ? 1 : OTHER_BUCKET_WEIGHT;
+  const dayWeight = isWeekend(incident.date) === weekend ? 1 : OTHER_DAY_TYPE_WEIGHT;
+
+  return bucketWeight * dayWeight / expected;
+}
+
+// ============================================================
+// ASSIGNING INCIDENTS TO STREETS
+// ============================================================
+
+/**
+ * Attach each incident to the nearest graph edge
+ * Sets edge.incidents to an array of incidents, or to null when no incident
+ * data covers the edge (so crime scoring can fall back to the neighborhood).
+ * An incident near an intersection counts once, on the closest street.
+ */
+function assignIncidentsToEdges() {
+  if (crimeIncidents.length === 0) {
+    graph.edges.forEach(edge => { edge.incidents = null; });
+    return;
+  }
+
+  // Radius in degrees, generous enough for longitude at this latitude
+  const pad = INCIDENT_RADIUS_METERS / 111320 * 1.5;
+
+  // Bucket incidents into a coarse grid and track the area they cover
+  const grid = new Map();
+  const coverage = { south: Infinity, west: Infinity, north: -Infinity, east: -Infinity };
+
+  crimeIncidents.forEach(incident => {
+    const key = `${Math.floor(incident.lat / INCIDENT_CELL_SIZE)}:${Math.floor(incident.lng / INCIDENT_CELL_SIZE)}`;
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(incident);
+
+    coverage.south = Math.min(coverage.south, incident.lat);
+    coverage.north = Math.max(coverage.north, incident.lat);
+    coverage.west = Math.min(coverage.west, incident.lng);
+    coverage.east = Math.max(coverage.east, incident.lng);
+  });
+
+  // Closest edge found so far for each incident: incident -> { edge, meters }
+  const nearest = new Map();
+
+  graph.edges.forEach(edge => {
+    const a = graph.nodes[edge.from];
+    const b = graph.nodes[edge.to];
+
+    if (Math.max(a.lat, b.lat) < coverage.south - pad || Math.min(a.lat, b.lat) > coverage.north + pad ||
+        Math.max(a.lng, b.lng) < coverage.west - pad || Math.min(a.lng, b.lng) > coverage.east + pad) {
+      edge.incidents = null;
+      return;
+    }
+
+    const minRow = Math.floor((Math.min(a.lat, b.lat) - pad) / INCIDENT_CELL_SIZE);
+    const maxRow = Math.floor((Math.max(a.lat, b.lat) + pad) / INCIDENT_CELL_SIZE);
+    const minCol = Math.floor((Math.min(a.lng, b.lng) - pad) / INCIDENT_CELL_SIZE);
+    const maxCol = Math.floor((Math.max(a.lng, b.lng) + pad) / INCIDENT_CELL_SIZE);
+
+    edge.incidents = [];
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        (grid.get(`${row}:${col}`) || []).forEach(incident => {
+          const meters = distanceToSegment(incident.lat, incident.lng, a, b);
+          const best = nearest.get(incident);
+          if (meters <= INCIDENT_RADIUS_METERS && (!best || meters < best.meters)) {
+            nearest.set(incident, { edge, meters });
+          }
+        });
+      }
+    }
+  });
+
+  nearest.forEach(({ edge }, incident) => edge.incidents.push(incident));
+}
+
+/**
+ * Replace the loaded incidents and rescore the street network
+ * @param {Array} incidents - Parsed incidents
+ */
+function setCrimeIncidents(incidents) {
+  crimeIncidents = incidents;
+  if (graph.edges.length > 0) {
+    assignIncidentsToEdges();
+    scoreEdges();
+    visualizeStreets();
+  }
+}
@@ -6,14 +6,24 @@
  * Initialize the application
  * This runs when the page loads
  */
-(function initializeApp() {
+(async function initializeApp() {
     console.log('SafeWalking: Initializing application...');
-    console.log('Crime data sources: NeighborhoodScout 2024, Yale Clery Reports, DataHaven');
+    
+    // Start in the city of a shared route link, or the default one
+    await restoreCityProfiles();
+    showCity(getCityProfile(getRouteLinkCity()) || getCityProfile(DEFAULT_CITY));
+    console.log(`Crime data sources: ${activeCity.sources.join(', ') || 'none listed'}`);
     console.log('Using Turf.js for point-in-polygon detection');
-    console.log('Using Dijkstra\'s algorithm for pathfinding');
+    console.log('Using A* search for pathfinding');
+    
+    // Build graphs and search routes off the main thread
+    startBackgroundWorker();
     
     // Load street data from OpenStreetMap
     loadStreetData();
+    
+    // Reopen a shared route link
+    openRouteLink();
   })();
   
   // ============================================================
@@ -28,6 +38,10 @@
     Object.keys(neighborhoodSafetyFactors).forEach(name => {
       console.log(`${name}: ${neighborhoodSafetyFactors[name]}`);
     });
+
+    console.log('=== NEIGHBORHOOD BOUNDARY PROBLEMS ===');
+    describeNeighborhoodReport(validateNeighborhoods(neighborhoodPolygons, neighborhoodSafetyFactors))
+      .forEach(problem => console.log(problem));
   }
   
   /**
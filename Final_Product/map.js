@@ -1,22 +1,28 @@
 // MAP INITIALIZATION
 
-// Initialize map (centered on New Haven, CT - Yale area)
-const map = L.map('map').setView([41.3083, -72.9279], 14);
+// Initialize map (centered on the selected city, see cities.js)
+const map = L.map('map').setView(activeCity.center, activeCity.zoom);
 
 L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
   attribution: '© OpenStreetMap contributors'
 }).addTo(map);
 
 // ============================================================
-// GRAPH & MAP STATE
+// MAP STATE
 // ============================================================
 
-// Graph structure for pathfinding
-let graph = { nodes: [], edges: [] };
-
 // Map visualization layers
 let streetLayers = [];
 let routeLayer = null;
+let routeOptionLayers = [];
+let baselineLayers = [];
+let riskLayers = [];
+let accessLayers = [];
+let directionLayer = null;
+let auditLayers = [];
+
+// Path currently shown as the route (from findPath)
+let activePath = null;
 
 // Markers for start/end points
 let startMarker = null;
@@ -25,49 +31,69 @@ let startPoint = null;
 let endPoint = null;
 let clickCount = 0;
 
+// Stops between start and end, in visiting order: { lat, lng, label, marker }
+let stopPoints = [];
+
 // ============================================================
-// NEIGHBORHOOD & CRIME FUNCTIONS
+// CRIME SCORES ON THE MAP
 // ============================================================
 
 /**
- * Get neighborhood name for a point using Turf.js point-in-polygon
- * @param {number} lat - Latitude
- * @param {number} lng - Longitude
- * @returns {string} Neighborhood name or "default"
+ * Describe an edge's pedestrian tags for the street popup
+ * @param {Object} edge - Graph edge
+ * @returns {string} HTML lines
  */
-function getNeighborhoodForPoint(lat, lng) {
-  const point = turf.point([lng, lat]); // Note: Turf uses [lng, lat]
-
-  for (const feature of neighborhoodPolygons.features) {
-    const polygon = turf.polygon(feature.geometry.coordinates);
-    if (turf.booleanPointInPolygon(point, polygon)) {
-      return feature.properties.name;
-    }
+function describeEdgeTags(edge) {
+  const tags = edge.tags || {};
+  const type = tags.footway === 'crossing' ? 'crosswalk' : (tags.highway || 'unknown').replace(/_/g, ' ');
+  const lines = [
+    `Type: ${type}`,
+    `Lit: ${tags.lit || 'unknown'}`,
+    `Sidewalk: ${tags.sidewalk || 'unknown'}`
+  ];
+
+  const barrier = getAccessibilityBarrier(edge);
+  if (barrier) lines.push(`Wheelchair: blocked (${barrier})`);
+  else if (tags.wheelchair) lines.push(`Wheelchair: ${tags.wheelchair}`);
+  if (tags.surface) lines.push(`Surface: ${tags.surface}`);
+  if (tags.incline) lines.push(`Incline: ${tags.incline}`);
+
+  if (tags.foot) lines.push(`Foot access: ${tags.foot}`);
+  if (tags.access) lines.push(`Access: ${tags.access}`);
+  if (edge.tagPenalty > 0) {
+    const reasons = [];
+    if (tags.lit === 'no') reasons.push('unlit');
+    if (lacksSidewalk(edge)) reasons.push('no sidewalk');
+    lines.push(`Penalty: +${edge.tagPenalty} (${reasons.join(', ')})`);
   }
 
-  return "default"; // Fallback
+  return lines.join('<br>');
 }
 
 /**
- * Deterministc crime calculation based on neighborhood + street position
- * @param {number} lat - Latitude
- * @param {number} lng - Longitude
- * @returns {number} Crime score (0-14)
+ * Change the departure time and rescore the street network for it
+ * @param {Date} time - New departure time
  */
-function getCrimeLevel(lat, lng) {
-  // Get neighborhood using point-in-polygon
-  const neighborhood = getNeighborhoodForPoint(lat, lng);
-  const safeFactor = neighborhoodSafetyFactors[neighborhood] || neighborhoodSafetyFactors.default;
+function setDepartureTime(time) {
+  if (isNaN(time.getTime()) || time.getTime() === departureTime.getTime()) return;
 
-  // Create deterministic "randomness" from coordinates
-  // Hash the coordinates to get a stable 0-1 value
-  const hash = Math.abs(Math.sin(lat * 1000) * Math.cos(lng * 1000));
-  const pseudoRandom = hash - Math.floor(hash); // 0-1 range
+  departureTime = time;
+  if (graph.edges.length > 0) {
+    scoreEdges();
+    visualizeStreets();
+  }
+}
 
-  // Base crime from factor
-  const baseCrime = Math.floor(pseudoRandom * 8 * safeFactor);
+/**
+ * Use other neighborhood boundaries and rebuild the street network for them
+ * (each loaded tile's neighborhoods are looked up again)
+ * @param {Object} polygons - FeatureCollection from parseNeighborhoodFile()
+ */
+function setNeighborhoodPolygons(polygons) {
+  neighborhoodPolygons = polygons;
+  indexNeighborhoods();
 
-  return Math.min(14, baseCrime);
+  if (graph.edges.length > 0) rebuildStreetNetwork(false);
 }
 
 /**
@@ -106,8 +132,10 @@ function visualizeStreets() {
   streetLayers.forEach(layer => map.removeLayer(layer));
   streetLayers = [];
 
-  // Draw each edge as a colored line
+  // Draw each edge as a colored line (temporary snap pieces are skipped)
   graph.edges.forEach(edge => {
+    if (edge.virtual) return;
+
     const fromNode = graph.nodes[edge.from];
     const toNode = graph.nodes[edge.to];
 
@@ -124,8 +152,10 @@ function visualizeStreets() {
     line.bindPopup(`
       <strong>${edge.streetName}</strong><br>
       Neighborhood: ${edge.neighborhood}<br>
-      Crime Score: ${edge.crimes}<br>
-      Safety: ${edge.crimes <= 2 ? 'Safe' : edge.crimes <= 5 ? 'Moderate' : edge.crimes <= 8 ? 'Unsafe' : 'Very Unsafe'}
+      Time: ${getTimeBucket(departureTime).name}, ${isWeekend(departureTime) ? 'weekend' : 'weekday'}<br>
+      Crime Score: ${edge.crimes}${edge.incidents ? ` (${edge.incidents.length} reported incidents)` : ' (neighborhood estimate)'}<br>
+      Safety: ${edge.crimes <= 2 ? 'Safe' : edge.crimes <= 5 ? 'Moderate' : edge.crimes <= 8 ? 'Unsafe' : 'Very Unsafe'}<br>
+      ${describeEdgeTags(edge)}
     `);
 
     streetLayers.push(line);
@@ -133,173 +163,54 @@ function visualizeStreets() {
 }
 
 // ============================================================
-// UTILITY FUNCTIONS
+// LOAD STREET DATA FROM OPENSTREETMAP
 // ============================================================
 
 /**
- * Calculate distance between two points using Haversine formula
- * @param {number} lat1 - First latitude
- * @param {number} lng1 - First longitude
- * @param {number} lat2 - Second latitude
- * @param {number} lng2 - Second longitude
- * @returns {number} Distance in kilometers
+ * Make a built graph the active street network: index it, score it for
+ * the current crime data and departure time, and draw it
+ * @param {Object} built - Graph from buildStreetGraph() or mergeStreetGraphs()
+ * @param {string} source - Where it came from, for the status line
+ * @param {boolean} [reroute] - Redo the route on screen (off when a route is about to be found anyway)
  */
-function getDistance(lat1, lng1, lat2, lng2) {
-  const R = 6371; // Earth's radius in km
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLng = (lng2 - lng1) * Math.PI / 180;
-  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLng / 2) * Math.sin(dLng / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-}
-
-/**
- * Find nearest graph node to a given point
- * @param {number} lat - Latitude
- * @param {number} lng - Longitude
- * @returns {Object} Nearest node
- */
-function findNearestNode(lat, lng) {
-  let minDist = Infinity;
-  let nearestNode = null;
-
-  graph.nodes.forEach(node => {
-    const dist = getDistance(lat, lng, node.lat, node.lng);
-    if (dist < minDist) {
-      minDist = dist;
-      nearestNode = node;
+function useStreetGraph(built, source, reroute = true) {
+  graph = built;
+  graphVersion++;
+  baselineRoute = null;
+
+  indexStreetGraph();
+  assignIncidentsToEdges();
+  scoreEdges();
+
+  const scoredFromIncidents = graph.edges.filter(e => e.crimeSource === 'incidents').length;
+  console.log(`Loaded ${graph.nodes.length} nodes and ${graph.edges.length} edges from ${source} (${scoredFromIncidents} scored from incident data)`);
+  visualizeStreets();
+
+  document.getElementById('networkStatus').textContent = `${graph.edges.length} segments from ${source}.`;
+  setStatus(false, `Street network: ready (${graph.edges.length} segments)`);
+  document.getElementById('headerStatus').textContent = 'Ready';
+
+  // Route points are kept as coordinates, so a shown route can be redone.
+  // A walk audit is redone as a whole, or the new route would replace it.
+  if (activePath && reroute) {
+    if (shownWalk) {
+      auditWalk(shownWalk.name, shownWalk.points, false);
+    } else {
+      findSafestRoute(false);
     }
-  });
-
-  return nearestNode;
+  }
 }
 
-// ============================================================
-// LOAD STREET DATA FROM OPENSTREETMAP
-// ============================================================
-
 /**
- * Load street data from OpenStreetMap Overpass API
+ * Load the street network for the area on screen
+ * Tiles come from the offline cache when saved there, otherwise from Overpass
+ * @param {boolean} [refresh] - Download the visible tiles again, skipping the cache
  */
-async function loadStreetData() {
-  document.getElementById('loadingIndicator').style.display = 'block';
-  document.getElementById('findRouteBtn').disabled = true;
-  setStatus(true, 'Street network: loading…');
-
-  // Clear existing data
-  streetLayers.forEach(layer => map.removeLayer(layer));
-  streetLayers = [];
-  graph = { nodes: [], edges: [] };
-
-  // Define bounding box for New Haven area
-  const bbox = { south: 41.298, west: -72.943, north: 41.318, east: -72.913 };
-
-  // Overpass API query for roads
-  const query = `
-    [out:json][timeout:25];
-    (
-      way["highway"~"^(motorway|trunk|primary|secondary|tertiary|residential|living_street|unclassified)$"]
-      (${bbox.south},${bbox.west},${bbox.north},${bbox.east});
-    );
-    out body;
-    >;
-    out skel qt;
-  `;
-
-  try {
-    const response = await fetch('https://overpass-api.de/api/interpreter', {
-      method: 'POST',
-      body: query
-    });
-
-    const data = await response.json();
-
-    const osmNodes = {};
-    const ways = [];
-
-    // First pass: collect all nodes
-    data.elements.forEach(element => {
-      if (element.type === 'node') {
-        osmNodes[element.id] = { lat: element.lat, lon: element.lon };
-      }
-    });
-
-    // Second pass: collect all ways (streets)
-    data.elements.forEach(element => {
-      if (element.type === 'way' && element.nodes && element.nodes.length > 1) {
-        ways.push({ id: element.id, nodes: element.nodes, tags: element.tags || {} });
-      }
-    });
-
-    // Build graph: create nodes
-    const nodeMap = new Map();
-    let nodeIdCounter = 0;
-
-    ways.forEach(way => {
-      way.nodes.forEach(osmNodeId => {
-        if (!nodeMap.has(osmNodeId) && osmNodes[osmNodeId]) {
-          const osmNode = osmNodes[osmNodeId];
-          graph.nodes.push({
-            id: nodeIdCounter,
-            lat: osmNode.lat,
-            lng: osmNode.lon,
-            osmId: osmNodeId
-          });
-          nodeMap.set(osmNodeId, nodeIdCounter);
-          nodeIdCounter++;
-        }
-      });
-    });
-
-    // Build graph: create edges with REAL neighborhood-based crime data
-    ways.forEach(way => {
-      for (let i = 0; i < way.nodes.length - 1; i++) {
-        const fromOsmId = way.nodes[i];
-        const toOsmId = way.nodes[i + 1];
-        if (!osmNodes[fromOsmId] || !osmNodes[toOsmId]) continue;
-
-        const fromId = nodeMap.get(fromOsmId);
-        const toId = nodeMap.get(toOsmId);
-
-        const fromNode = graph.nodes[fromId];
-        const toNode = graph.nodes[toId];
-
-        const midLat = (fromNode.lat + toNode.lat) / 2;
-        const midLng = (fromNode.lng + toNode.lng) / 2;
-
-        // Use neighborhood-based crime calculation
-        const crimes = getCrimeLevel(midLat, midLng);
-        const distance = getDistance(fromNode.lat, fromNode.lng, toNode.lat, toNode.lng);
-
-        graph.edges.push({
-          from: fromId,
-          to: toId,
-          crimes: crimes,
-          weight: crimes + distance * 100, // Weight combines crime and distance
-          wayId: way.id,
-          streetName: way.tags.name || 'Unnamed Street',
-          neighborhood: getNeighborhoodForPoint(midLat, midLng)
-        });
-      }
-    });
-
-    console.log(`Loaded ${graph.nodes.length} nodes and ${graph.edges.length} edges with neighborhood-based crime data`);
-    visualizeStreets();
-
-    document.getElementById('loadingIndicator').style.display = 'none';
-    document.getElementById('findRouteBtn').disabled = false;
-
-    setStatus(false, `Street network: ready (${graph.edges.length} segments)`);
-    document.getElementById('headerStatus').textContent = 'Ready';
-
-  } catch (error) {
-    console.error('Error loading street data:', error);
-    alert('Error loading street data. Please try again.');
-    document.getElementById('loadingIndicator').style.display = 'none';
-    document.getElementById('findRouteBtn').disabled = false;
-    setStatus(false, 'Street network: error');
-    document.getElementById('headerStatus').textContent = 'Error';
+async function loadStreetData(refresh = false) {
+  const tiles = getTilesInBox(boundsToBox(map.getBounds()));
+  if (tiles.length === 0) {
+    setStatus(false, `Street network: outside ${activeCity.name}`);
+    return;
   }
-}
\ No newline at end of file
+  await loadNetworkTiles(tiles, refresh);
+}
@@ -0,0 +1,370 @@
+// ============================================================
+// LIVE NAVIGATION
+// ============================================================
+// "Start walking" mode: follows the user's position along the active
+// route, shows remaining distance and ETA, and re-routes from the current
+// position when the user leaves the route.
+
+// Farther than this (meters, or the fix accuracy if larger) from the route
+// counts as off route
+const OFF_ROUTE_METERS = 35;
+
+// Consecutive off-route fixes needed before re-routing, so one noisy GPS
+// reading doesn't trigger it
+const OFF_ROUTE_CONFIRMATIONS = 3;
+
+// Fixes less accurate than this (meters) are shown but not used for
+// off-route detection
+const MAX_USABLE_ACCURACY = 100;
+
+// Within this distance (meters) of the destination counts as arrived
+const ARRIVAL_METERS = 20;
+
+// Navigation state
+let navigationWatchId = null;
+let positionSource = null;
+let userMarker = null;
+let offRouteCount = 0;
+let rerouting = false;
+
+/**
+ * Geolocation API used for navigation
+ * @returns {Object} Recorded-track playback if one is set, else navigator.geolocation
+ */
+function getPositionSource() {
+  return positionSource || navigator.geolocation;
+}
+
+/**
+ * Replace the geolocation API used for navigation (e.g. with a recorded
+ * track from createTrackPlayback). Pass null to go back to the real one.
+ * @param {Object|null} source - Object with watchPosition/clearWatch
+ */
+function setPositionSource(source) {
+  stopNavigation();
+  positionSource = source;
+}
+
+// ============================================================
+// RECORDED TRACK PLAYBACK
+// ============================================================
+
+/**
+ * Parse a recorded GPS track
+ * Accepts GPX (trkpt elements) or JSON: an array of { lat, lng, time }
+ * @param {string} fileName - Name of the file
+ * @param {string} text - File contents
+ * @returns {Array} Points as { lat, lng, time } (time in ms, may be null)
+ */
+function parseGPSTrack(fileName, text) {
+  if (fileName.toLowerCase().endsWith('.gpx')) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    return [...doc.getElementsByTagName('trkpt')].map(pt => {
+      const time = pt.getElementsByTagName('time')[0];
+      return {
+        lat: parseFloat(pt.getAttribute('lat')),
+        lng: parseFloat(pt.getAttribute('lon')),
+        time: time ? Date.parse(time.textContent) : null
+      };
+    });
+  }
+
+  return JSON.parse(text).map(pt => ({
+    lat: Number(pt.lat),
+    lng: Number(pt.lng !== undefined ? pt.lng : pt.lon),
+    time: pt.time ? Date.parse(pt.time) : null
+  }));
+}
+
+/**
+ * Create a stand-in for navigator.geolocation that plays back a track
+ * Points are delivered with their recorded spacing (1 s apart when the
+ * track has no times), sped up by the given factor.
+ * @param {Array} points - Points from parseGPSTrack()
+ * @param {number} [speedup] - Playback speed multiplier
+ * @returns {Object} Object with getCurrentPosition, watchPosition and clearWatch
+ */
+function createTrackPlayback(points, speedup = 1) {
+  const timers = new Map();
+  let nextWatchId = 1;
+
+  const toPosition = point => ({
+    coords: { latitude: point.lat, longitude: point.lng, accuracy: 10 },
+    timestamp: point.time || Date.now()
+  });
+
+  return {
+    getCurrentPosition(success) {
+      setTimeout(() => success(toPosition(points[0])), 0);
+    },
+
+    watchPosition(success) {
+      const id = nextWatchId++;
+      let index = 0;
+
+      const deliver = () => {
+        success(toPosition(points[index]));
+        index++;
+        if (index >= points.length) {
+          timers.delete(id);
+          return;
+        }
+        const gap = points[index].time && points[index - 1].time
+          ? points[index].time - points[index - 1].time
+          : 1000;
+        timers.set(id, setTimeout(deliver, Math.max(0, gap / speedup)));
+      };
+
+      timers.set(id, setTimeout(deliver, 0));
+      return id;
+    },
+
+    clearWatch(id) {
+      clearTimeout(timers.get(id));
+      timers.delete(id);
+    }
+  };
+}
+
+// ============================================================
+// FOLLOWING THE ROUTE
+// ============================================================
+
+/**
+ * Find where a position lies along a path
+ * @param {Object} path - Path from findPath()
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Object} { meters, doneKm, remainingKm }: distance to the path and
+ *   distance walked / left along it
+ */
+function locateOnPath(path, lat, lng) {
+  let best = { meters: Infinity, doneKm: 0 };
+  let doneKm = 0;
+
+  path.edges.forEach((edgeId, index) => {
+    const edge = graph.edges[edgeId];
+    const a = graph.nodes[path.nodes[index]];
+    const b = graph.nodes[path.nodes[index + 1]];
+    const { t, meters } = projectOntoSegment(lat, lng, a, b);
+
+    if (meters < best.meters) {
+      best = { meters, doneKm: doneKm + t * edge.distance };
+    }
+    doneKm += edge.distance;
+  });
+
+  return { ...best, remainingKm: Math.max(0, doneKm - best.doneKm) };
+}
+
+/**
+ * Start "Start walking" mode on the active route
+ */
+function startNavigation() {
+  if (!activePath) {
+    alert('Find a route first!');
+    return;
+  }
+
+  const source = getPositionSource();
+  if (!source) {
+    alert('Geolocation is not supported by your browser');
+    return;
+  }
+
+  stopNavigation();
+  offRouteCount = 0;
+
+  navigationWatchId = source.watchPosition(handleNavigationPosition, handleNavigationError, {
+    enableHighAccuracy: true,
+    timeout: 15000,
+    maximumAge: 1000
+  });
+
+  document.getElementById('navPanel').style.display = 'grid';
+  document.getElementById('navStatus').textContent = 'Waiting for your position…';
+  document.getElementById('startNavBtn').textContent = 'Stop Walking';
+}
+
+/**
+ * Stop following the user's position
+ */
+function stopNavigation() {
+  if (navigationWatchId !== null) {
+    getPositionSource().clearWatch(navigationWatchId);
+    navigationWatchId = null;
+  }
+  if (userMarker) {
+    map.removeLayer(userMarker);
+    userMarker = null;
+  }
+
+  document.getElementById('navPanel').style.display = 'none';
+  document.getElementById('startNavBtn').textContent = 'Start Walking';
+}
+
+/**
+ * Toggle "Start walking" mode
+ */
+function toggleNavigation() {
+  if (navigationWatchId !== null) {
+    stopNavigation();
+  } else {
+    startNavigation();
+  }
+}
+
+/**
+ * Handle a position fix while navigating
+ * @param {Object} position - Geolocation position
+ */
+function handleNavigationPosition(position) {
+  const { latitude, longitude, accuracy } = position.coords;
+
+  // Show and follow the user
+  if (!userMarker) {
+    userMarker = L.circleMarker([latitude, longitude], {
+      radius: 8,
+      color: '#ffffff',
+      weight: 3,
+      fillColor: '#2563eb',
+      fillOpacity: 1
+    }).addTo(map);
+  } else {
+    userMarker.setLatLng([latitude, longitude]);
+  }
+  map.panTo([latitude, longitude]);
+
+  // While re-routing, the network may be rebuilt under the current route
+  if (!activePath || rerouting) return;
+
+  const location = locateOnPath(activePath, latitude, longitude);
+  const end = graph.nodes[activePath.nodes[activePath.nodes.length - 1]];
+  const toEnd = getDistance(latitude, longitude, end.lat, end.lng) * 1000;
+
+  if (toEnd <= ARRIVAL_METERS) {
+    stopNavigation();
+    document.getElementById('navPanel').style.display = 'grid';
+    document.getElementById('navStatus').textContent = 'You have arrived.';
+    document.getElementById('navRemaining').textContent = '0.00 mi';
+    document.getElementById('navEta').textContent = '-';
+    return;
+  }
+
+  // Off-route detection
+  const limit = Math.max(OFF_ROUTE_METERS, accuracy || 0);
+  if (location.meters > limit && (accuracy || 0) <= MAX_USABLE_ACCURACY) {
+    offRouteCount++;
+  } else {
+    offRouteCount = 0;
+  }
+
+  if (offRouteCount >= OFF_ROUTE_CONFIRMATIONS) {
+    offRouteCount = 0;
+    rerouteFrom(latitude, longitude, position.timestamp);
+    return;
+  }
+
+  updateNavigationPanel(location.remainingKm, position.timestamp,
+    offRouteCount > 0 ? 'Checking your position…' : 'On route');
+}
+
+/**
+ * Show remaining distance, ETA and status in the navigation panel
+ * @param {number} remainingKm - Distance left along the route
+ * @param {number} now - Time of the position fix (ms)
+ * @param {string} status - Status text
+ */
+function updateNavigationPanel(remainingKm, now, status) {
+  const eta = new Date(now + remainingKm / WALKING_SPEED_KMH * 3600 * 1000);
+  const minutes = Math.ceil(remainingKm / WALKING_SPEED_KMH * 60);
+
+  document.getElementById('navRemaining').textContent = formatMiles(remainingKm);
+  document.getElementById('navEta').textContent =
+    `${eta.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })} (${minutes} min)`;
+  document.getElementById('navStatus').textContent = status;
+}
+
+/**
+ * Waypoints of a route that the user hasn't reached yet
+ * @param {Object} path - Path from findRoutePath()
+ * @param {number} doneKm - Distance already walked along the path
+ * @returns {Array<Object>} Waypoints of the remaining stops and the end
+ */
+function getRemainingWaypoints(path, doneKm) {
+  const legs = path.legs || [path];
+  const waypoints = path.waypoints || [path.nodes[0], path.nodes[path.nodes.length - 1]]
+    .map(nodeId => ({ nodeId, lat: graph.nodes[nodeId].lat, lng: graph.nodes[nodeId].lng }));
+  const remaining = [];
+  let legEndKm = 0;
+
+  legs.forEach((leg, index) => {
+    legEndKm += leg.edges.reduce((sum, edgeId) => sum + graph.edges[edgeId].distance, 0);
+    if (legEndKm > doneKm || index === legs.length - 1) remaining.push(waypoints[index + 1]);
+  });
+
+  return remaining;
+}
+
+/**
+ * Re-run the safest-route search from the user's current position to the
+ * stops not yet reached and the end
+ * Uses the current route's profile, and loads the streets around the
+ * position first, since the user may have walked off the loaded tiles.
+ * @param {number} lat - Current latitude
+ * @param {number} lng - Current longitude
+ * @param {number} now - Time of the position fix (ms)
+ */
+async function rerouteFrom(lat, lng, now) {
+  const profile = activePath.profile;
+  const remaining = getRemainingWaypoints(activePath, locateOnPath(activePath, lat, lng).doneKm);
+  const version = graphVersion;
+
+  rerouting = true;
+  document.getElementById('navStatus').textContent = 'Off route. Finding a new route…';
+  let result;
+  try {
+    result = await findRoutes('safest', profile, [{ lat, lng }, ...remaining.map(point => ({ lat: point.lat, lng: point.lng }))]);
+  } finally {
+    rerouting = false;
+  }
+
+  // Navigation was stopped while searching
+  if (navigationWatchId === null) return;
+
+  if (!result || result.routes.length === 0) {
+    if (graphVersion === version) {
+      // Put back the snap points the current route runs over
+      snapPointsToNetwork(activePath.waypoints, profile);
+    } else {
+      // New tiles replaced the network the current route was found on
+      await findSafestRoute(false);
+    }
+    document.getElementById('navStatus').textContent = 'Off route. No route found from here.';
+    return;
+  }
+
+  // Stops already passed are dropped; the route now starts here
+  const visited = stopPoints.length - (remaining.length - 1);
+  stopPoints.splice(0, visited).forEach(stop => map.removeLayer(stop.marker));
+  renderStopsList();
+
+  startPoint = { lat, lng };
+  if (startMarker) startMarker.setLatLng([lat, lng]);
+  clearRouteOptions();
+  const { path, stats } = result.routes[0];
+  showRoute(path, stats);
+  updateRouteLink();
+
+  const location = locateOnPath(path, lat, lng);
+  updateNavigationPanel(location.remainingKm, now, 'You left the route. Re-routed from here.');
+}
+
+/**
+ * Handle geolocation errors while navigating
+ * @param {Object} error - GeolocationPositionError
+ */
+function handleNavigationError(error) {
+  console.error('Navigation location error:', error);
+  document.getElementById('navStatus').textContent = 'Location unavailable. Check location services.';
+}
@@ -0,0 +1,163 @@
+// ============================================================
+// NEIGHBORHOOD BOUNDARIES
+// ============================================================
+// Official neighborhood boundaries loaded from a GeoJSON file (e.g. the
+// city's shapefile converted to GeoJSON in WGS84), and checks of any
+// boundary set against the safety factors in data.js. No DOM here, so the
+// same checks run in the app and in "safewalk neighborhoods".
+
+// Property names that hold the neighborhood name in GIS exports
+const NEIGHBORHOOD_NAME_FIELDS = ['name', 'Name', 'NAME', 'neighborhood', 'Neighborhood', 'NEIGHBORHOOD', 'NEIGHBORHD', 'NBHD', 'NHOOD'];
+
+// Overlaps and gaps smaller than this (square meters) are digitizing slivers
+const MIN_OVERLAP_SQ_METERS = 100;
+const MIN_GAP_SQ_METERS = 500;
+
+// ============================================================
+// LOADING
+// ============================================================
+
+/**
+ * Read a neighborhood boundary file
+ * @param {string} text - GeoJSON FeatureCollection of Polygons/MultiPolygons
+ * @returns {Object} FeatureCollection with each feature's name in properties.name
+ * @throws {Error} If the file has no named polygons or isn't in longitude/latitude
+ */
+function parseNeighborhoodFile(text) {
+  return readNeighborhoodGeoJSON(JSON.parse(text));
+}
+
+/**
+ * Read neighborhood boundaries already parsed from JSON, e.g. those in a
+ * city profile
+ * @param {Object} geojson - GeoJSON FeatureCollection of Polygons/MultiPolygons
+ * @returns {Object} FeatureCollection with each feature's name in properties.name
+ * @throws {Error} If there are no named polygons or they aren't in longitude/latitude
+ */
+function readNeighborhoodGeoJSON(geojson) {
+  if (geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    throw new Error('Expected a GeoJSON FeatureCollection');
+  }
+
+  const features = geojson.features.filter(feature =>
+    feature.geometry && ['Polygon', 'MultiPolygon'].includes(feature.geometry.type));
+  if (features.length === 0) throw new Error('The file has no polygons');
+
+  const nameField = NEIGHBORHOOD_NAME_FIELDS.find(field =>
+    features.every(feature => feature.properties && feature.properties[field]));
+  if (!nameField) {
+    throw new Error(`Every polygon needs a name in one of: ${NEIGHBORHOOD_NAME_FIELDS.join(', ')}`);
+  }
+
+  // Shapefiles are often in a projected system (e.g. state plane feet)
+  const [west, south, east, north] = turf.bbox({ type: 'FeatureCollection', features });
+  if (Math.abs(south) > 90 || Math.abs(north) > 90 || Math.abs(west) > 180 || Math.abs(east) > 180) {
+    throw new Error('Coordinates aren\'t longitude/latitude; convert the file to WGS84 (EPSG:4326) first');
+  }
+
+  return {
+    type: 'FeatureCollection',
+    features: features.map(feature => ({
+      type: 'Feature',
+      properties: { name: String(feature.properties[nameField]).trim() },
+      geometry: feature.geometry
+    }))
+  };
+}
+
+// ============================================================
+// VALIDATION
+// ============================================================
+
+/**
+ * Check neighborhood polygons against each other and the safety factors
+ * @param {Object} polygons - FeatureCollection like neighborhoodPolygons
+ * @param {Object} safetyFactors - Factors by name, like neighborhoodSafetyFactors
+ * @returns {Object} { overlaps: [{ first, second, squareMeters, hidden }],
+ *   gaps: [{ lat, lng, squareMeters }], unknownNames: [name],
+ *   missingGeometry: [name] }. hidden means the second polygon lies
+ *   entirely under the first, so its factor is never used. Gaps are the
+ *   parts of the polygons' bounding box in no polygon; lat/lng is a point
+ *   inside each.
+ */
+function validateNeighborhoods(polygons, safetyFactors) {
+  const features = polygons.features;
+  const names = [...new Set(features.map(feature => feature.properties.name))];
+  const factorNames = Object.keys(safetyFactors).filter(name => name !== 'default');
+
+  const overlaps = [];
+  const bboxes = features.map(feature => turf.bbox(feature));
+  const boxesTouch = (a, b) => a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+
+  for (let i = 0; i < features.length; i++) {
+    for (let j = i + 1; j < features.length; j++) {
+      if (!boxesTouch(bboxes[i], bboxes[j])) continue;
+
+      const shared = turf.intersect(features[i], features[j]);
+      const squareMeters = shared ? turf.area(shared) : 0;
+      if (squareMeters < MIN_OVERLAP_SQ_METERS) continue;
+
+      overlaps.push({
+        first: features[i].properties.name,
+        second: features[j].properties.name,
+        squareMeters: Math.round(squareMeters),
+        hidden: squareMeters >= turf.area(features[j]) * 0.99
+      });
+    }
+  }
+
+  // Gaps are whatever the polygons leave of their bounding box: holes
+  // surrounded by neighborhoods, and strips between them that run out to
+  // the edge. Streets there get the default factor.
+  let uncovered = turf.bboxPolygon(turf.bbox(polygons));
+  for (const feature of features) {
+    uncovered = turf.difference(uncovered, feature);
+    if (!uncovered) break;
+  }
+  const pieces = !uncovered ? []
+    : uncovered.geometry.type === 'Polygon' ? [uncovered.geometry.coordinates] : uncovered.geometry.coordinates;
+
+  const gaps = [];
+  pieces.forEach(rings => {
+    const piece = turf.polygon(rings);
+    const squareMeters = turf.area(piece);
+    if (squareMeters < MIN_GAP_SQ_METERS) return;
+
+    // A strip's centroid can lie outside it
+    const [lng, lat] = turf.pointOnFeature(piece).geometry.coordinates;
+    gaps.push({ lat, lng, squareMeters: Math.round(squareMeters) });
+  });
+
+  return {
+    overlaps,
+    gaps,
+    unknownNames: names.filter(name => !(name in safetyFactors)),
+    missingGeometry: factorNames.filter(name => !names.includes(name))
+  };
+}
+
+/**
+ * Describe a validation report in plain sentences
+ * @param {Object} report - Result of validateNeighborhoods()
+ * @returns {Array<string>} One line per problem; empty if there are none
+ */
+function describeNeighborhoodReport(report) {
+  const lines = [];
+
+  report.overlaps.forEach(overlap => {
+    lines.push(overlap.hidden
+      ? `${overlap.second} lies entirely under ${overlap.first}, so it is never used`
+      : `${overlap.first} and ${overlap.second} overlap by ${overlap.squareMeters} m² (${overlap.first} wins there)`);
+  });
+  report.gaps.forEach(gap => {
+    lines.push(`${gap.squareMeters} m² in no neighborhood, around ${gap.lat.toFixed(5)}, ${gap.lng.toFixed(5)}`);
+  });
+  report.unknownNames.forEach(name => {
+    lines.push(`${name} has no safety factor, so it uses the default`);
+  });
+  report.missingGeometry.forEach(name => {
+    lines.push(`${name} has a safety factor but no polygon`);
+  });
+
+  return lines;
+}
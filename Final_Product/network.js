@@ -0,0 +1,516 @@
+// ============================================================
+// OFFLINE STREET NETWORK CACHE
+// ============================================================
+
+// IndexedDB database and store holding built street graphs
+const NETWORK_DB_NAME = 'safewalking';
+const NETWORK_STORE = 'streetGraphs';
+
+// Store in the same database holding city profiles added from files (cities.js)
+const CITY_PROFILE_STORE = 'cityProfiles';
+
+// Bump when the shape of cached nodes/edges changes so old copies are
+// rebuilt instead of reused
+const NETWORK_CACHE_VERSION = 1;
+
+// Edge fields that are recomputed on load and not worth storing
+const RUNTIME_EDGE_FIELDS = ['crimes', 'crimeSource', 'incidents', 'tagPenalty'];
+
+/**
+ * Cache key for a bounding box
+ * @param {Object} bbox - { south, west, north, east }
+ * @returns {string} Key including the cache version
+ */
+function getNetworkCacheKey(bbox) {
+  return `v${NETWORK_CACHE_VERSION}:${bbox.south},${bbox.west},${bbox.north},${bbox.east}`;
+}
+
+/**
+ * Open the cache database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openNetworkCache() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+
+    const request = indexedDB.open(NETWORK_DB_NAME, 2);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(NETWORK_STORE)) db.createObjectStore(NETWORK_STORE, { keyPath: 'key' });
+      if (!db.objectStoreNames.contains(CITY_PROFILE_STORE)) db.createObjectStore(CITY_PROFILE_STORE, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run one request against a store of the cache database
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} makeRequest - Gets the object store, returns an IDBRequest
+ * @param {string} [storeName] - Store to use (defaults to the street graphs)
+ * @returns {Promise<*>} Request result
+ */
+async function withNetworkStore(mode, makeRequest, storeName = NETWORK_STORE) {
+  const db = await openNetworkCache();
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Read a saved street graph
+ * Failures (private browsing, blocked storage) are logged and treated as a miss
+ * @param {string} key - Key from getNetworkCacheKey()
+ * @returns {Promise<Object|null>} { graph, savedAt } or null if not cached
+ */
+async function loadCachedGraph(key) {
+  try {
+    const entry = await withNetworkStore('readonly', store => store.get(key));
+    if (!entry || entry.version !== NETWORK_CACHE_VERSION) return null;
+
+    return {
+      graph: {
+        nodes: entry.nodes,
+        edges: entry.edges.map(edge => ({ ...edge, crimes: 0 })),
+        adjacency: []
+      },
+      savedAt: entry.savedAt
+    };
+  } catch (error) {
+    console.warn('Street network cache unavailable:', error);
+    return null;
+  }
+}
+
+/**
+ * Save a built street graph for reuse on later visits
+ * @param {string} key - Key from getNetworkCacheKey()
+ * @param {Object} bbox - Area the graph covers
+ * @param {Object} built - Graph from buildStreetGraph()
+ */
+async function saveCachedGraph(key, bbox, built) {
+  const edges = built.edges.map(edge => {
+    const stored = { ...edge };
+    RUNTIME_EDGE_FIELDS.forEach(field => delete stored[field]);
+    return stored;
+  });
+
+  try {
+    await withNetworkStore('readwrite', store => store.put({
+      key,
+      version: NETWORK_CACHE_VERSION,
+      bbox,
+      savedAt: Date.now(),
+      nodes: built.nodes,
+      edges
+    }));
+  } catch (error) {
+    console.warn('Could not save street network to the cache:', error);
+  }
+}
+
+// ============================================================
+// LOCAL OSM FILE IMPORT
+// ============================================================
+
+/**
+ * Read an .osm XML or Overpass JSON file into OSM elements
+ * @param {string} fileName - File name (used to pick the format)
+ * @param {string} text - File contents
+ * @returns {Array} Elements in the Overpass JSON shape ({ type, id, lat, lon, nodes, tags })
+ */
+function parseOSMFile(fileName, text) {
+  const trimmed = text.trim();
+  if (/\.json$/i.test(fileName) || trimmed.startsWith('{')) {
+    return JSON.parse(trimmed).elements || [];
+  }
+
+  const xml = new DOMParser().parseFromString(text, 'application/xml');
+  if (xml.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Not a valid OSM XML file');
+  }
+
+  const readTags = element => {
+    const tags = {};
+    Array.from(element.getElementsByTagName('tag')).forEach(tag => {
+      tags[tag.getAttribute('k')] = tag.getAttribute('v');
+    });
+    return tags;
+  };
+
+  const elements = [];
+
+  Array.from(xml.getElementsByTagName('node')).forEach(node => {
+    elements.push({
+      type: 'node',
+      id: Number(node.getAttribute('id')),
+      lat: Number(node.getAttribute('lat')),
+      lon: Number(node.getAttribute('lon')),
+      tags: readTags(node)
+    });
+  });
+
+  Array.from(xml.getElementsByTagName('way')).forEach(way => {
+    elements.push({
+      type: 'way',
+      id: Number(way.getAttribute('id')),
+      nodes: Array.from(way.getElementsByTagName('nd')).map(nd => Number(nd.getAttribute('ref'))),
+      tags: readTags(way)
+    });
+  });
+
+  return elements;
+}
+
+// Imported network: { name, graph }, kept alongside any loaded tiles
+let importedNetwork = null;
+
+/**
+ * Add a local OSM file to the street network
+ * It stays loaded (it is never evicted like a tile) and joins the tiles
+ * at shared OSM nodes
+ * @param {string} fileName - File name
+ * @param {string} text - File contents
+ * @returns {Promise<number|null>} Number of street segments loaded, or null
+ *   if the city was switched meanwhile
+ */
+async function importStreetFile(fileName, text) {
+  // XML is parsed here (workers have no DOMParser); the graph is built in the background
+  setStatus(true, `Street network: reading ${fileName}…`);
+  const generation = networkGeneration;
+  const built = await buildNetworkPart({ elements: parseOSMFile(fileName, text) }, fileName);
+  // The city was switched while building
+  if (generation !== networkGeneration) return null;
+  if (built.edges.length === 0) {
+    setStatus(false, `Street network: no walkable streets in ${fileName}`);
+    return 0;
+  }
+
+  importedNetwork = { name: fileName, graph: built };
+  rebuildStreetNetwork();
+  return built.edges.length;
+}
+
+// ============================================================
+// TILED LOADING
+// ============================================================
+
+// Tile side in degrees (about 2 km north-south)
+const TILE_SIZE = 0.02;
+
+// Most tiles held in memory; the least recently used go first. Dropped
+// tiles stay in the offline cache, so they come back quickly.
+const MAX_LOADED_TILES = 9;
+
+// Don't load tiles for the view below this zoom (too many at once)
+const MIN_TILE_ZOOM = 14;
+
+// Margin (degrees) loaded around route points so the router has room to
+// go around a block near the edge
+const ROUTE_TILE_MARGIN = 0.005;
+
+// Loaded tiles: key -> { key, bbox, graph, lastUsed }
+const networkTiles = new Map();
+
+// Bumped by clearStreetNetwork(); loads started before that are abandoned
+let networkGeneration = 0;
+
+// Tile downloads in progress: key -> Promise, so overlapping requests share them
+const tileRequests = new Map();
+
+// Tile loads run one batch at a time (see loadNetworkTiles). The batch
+// waiting for its turn collects every load asked for meanwhile:
+// { tiles (key -> tile), refresh, reroute, generation, done (Promise) }
+let queuedTileBatch = null;
+let tileBatchChain = Promise.resolve();
+
+/**
+ * Convert Leaflet bounds to a plain bounding box
+ * @param {Object} bounds - L.LatLngBounds
+ * @returns {Object} { south, west, north, east }
+ */
+function boundsToBox(bounds) {
+  return { south: bounds.getSouth(), west: bounds.getWest(), north: bounds.getNorth(), east: bounds.getEast() };
+}
+
+/**
+ * List the tiles covering a bounding box
+ * Only the part inside the selected city's networkBounds is covered.
+ * @param {Object} box - { south, west, north, east }
+ * @returns {Array<Object>} Tiles as { key, bbox }; empty if the box is outside the city
+ */
+function getTilesInBox(box) {
+  const tiles = [];
+  const bounds = activeCity.networkBounds;
+  const south = Math.max(box.south, bounds.south);
+  const west = Math.max(box.west, bounds.west);
+  const north = Math.min(box.north, bounds.north);
+  const east = Math.min(box.east, bounds.east);
+  if (south > north || west > east) return tiles;
+
+  for (let row = Math.floor(south / TILE_SIZE); row <= Math.floor(north / TILE_SIZE); row++) {
+    for (let col = Math.floor(west / TILE_SIZE); col <= Math.floor(east / TILE_SIZE); col++) {
+      const bbox = {
+        south: Number((row * TILE_SIZE).toFixed(4)),
+        west: Number((col * TILE_SIZE).toFixed(4)),
+        north: Number(((row + 1) * TILE_SIZE).toFixed(4)),
+        east: Number(((col + 1) * TILE_SIZE).toFixed(4))
+      };
+      tiles.push({ key: `${row}:${col}`, bbox });
+    }
+  }
+
+  return tiles;
+}
+
+/**
+ * Tiles needed to route between the current start, stops and end
+ * @returns {Array<Object>} Tiles as { key, bbox }
+ */
+function getRouteTiles() {
+  return getTilesAroundPoints([startPoint, ...stopPoints, endPoint].filter(Boolean));
+}
+
+/**
+ * Tiles covering a set of points plus a margin for detours
+ * @param {Array<Object>} points - Points as { lat, lng }
+ * @returns {Array<Object>} Tiles as { key, bbox }
+ */
+function getTilesAroundPoints(points) {
+  if (points.length === 0) return [];
+
+  // Imported tracks can have more points than a call takes arguments
+  const box = points.reduce((area, point) => ({
+    south: Math.min(area.south, point.lat),
+    west: Math.min(area.west, point.lng),
+    north: Math.max(area.north, point.lat),
+    east: Math.max(area.east, point.lng)
+  }), { south: Infinity, west: Infinity, north: -Infinity, east: -Infinity });
+
+  return getTilesInBox({
+    south: box.south - ROUTE_TILE_MARGIN,
+    west: box.west - ROUTE_TILE_MARGIN,
+    north: box.north + ROUTE_TILE_MARGIN,
+    east: box.east + ROUTE_TILE_MARGIN
+  });
+}
+
+/**
+ * Show graph building progress in the status bar
+ * @param {string} label - What is being built, e.g. "tile 2 of 4"
+ * @param {Object} progress - { phase, done, total } from buildStreetGraph()
+ */
+function showBuildProgress(label, progress) {
+  const text = progress.phase === 'downloading'
+    ? `downloading ${label}…`
+    : `building ${label} (${Math.round(progress.done / Math.max(progress.total, 1) * 100)}%)…`;
+  setStatus(true, `Street network: ${text}`);
+}
+
+/**
+ * Build part of the street network (a tile or an imported file) in the
+ * background, with its neighborhoods looked up in the current boundaries
+ * @param {Object} source - { bbox } or { elements }, see runCoreQuery()
+ * @param {string} label - Name for progress messages
+ * @returns {Promise<Object>} Graph from buildStreetGraph(); neighborhoodsFrom
+ *   is the boundary set its neighborhoods came from
+ */
+async function buildNetworkPart(source, label) {
+  const polygons = neighborhoodPolygons;
+  const built = await runBackgroundQuery({ type: 'build', ...source, polygons },
+    progress => showBuildProgress(label, progress));
+  built.neighborhoodsFrom = polygons;
+  return built;
+}
+
+/**
+ * Get one tile's graph, from the offline cache or Overpass
+ * Download and graph building run in the background worker.
+ * Falls back to an older cached copy if the download fails
+ * @param {Object} tile - { key, bbox }
+ * @param {boolean} refresh - Skip the cache
+ * @param {string} label - Tile name for progress messages
+ * @returns {Promise<Object>} { graph, fromCache }
+ */
+async function fetchTile(tile, refresh, label) {
+  const cacheKey = getNetworkCacheKey(tile.bbox);
+  const cached = await loadCachedGraph(cacheKey);
+  if (cached && !refresh) return { graph: cached.graph, fromCache: true };
+
+  try {
+    const built = await buildNetworkPart({ bbox: tile.bbox }, label);
+    await saveCachedGraph(cacheKey, tile.bbox, built);
+    return { graph: built, fromCache: false };
+  } catch (error) {
+    if (cached) return { graph: cached.graph, fromCache: true };
+    throw error;
+  }
+}
+
+/**
+ * Drop the least recently used tiles beyond MAX_LOADED_TILES
+ * @param {Set<string>} keep - Tile keys that must stay (on screen or on the route)
+ */
+function evictTiles(keep) {
+  const candidates = [...networkTiles.values()]
+    .filter(tile => !keep.has(tile.key))
+    .sort((a, b) => a.lastUsed - b.lastUsed);
+
+  while (networkTiles.size > MAX_LOADED_TILES && candidates.length > 0) {
+    networkTiles.delete(candidates.shift().key);
+  }
+}
+
+/**
+ * Drop every loaded tile and imported file, e.g. when switching cities
+ * Loads still in progress are abandoned, and the map is cleared.
+ */
+function clearStreetNetwork() {
+  networkGeneration++;
+  networkTiles.clear();
+  importedNetwork = null;
+
+  graph = { nodes: [], edges: [], adjacency: [] };
+  graphVersion++;
+  visualizeStreets();
+}
+
+/**
+ * Join the loaded tiles and any imported file into the active network
+ * @param {boolean} [reroute] - Redo the route on screen, see useStreetGraph()
+ */
+function rebuildStreetNetwork(reroute = true) {
+  const parts = [...networkTiles.values()].map(tile => tile.graph);
+  if (importedNetwork) parts.push(importedNetwork.graph);
+
+  // Parts keep their neighborhoods; only those from the cache or from
+  // before the boundaries changed are looked up again, once each
+  parts.forEach(part => {
+    if (part.neighborhoodsFrom === neighborhoodPolygons) return;
+    assignEdgeNeighborhoods(part);
+    part.neighborhoodsFrom = neighborhoodPolygons;
+  });
+
+  const sources = [];
+  if (networkTiles.size > 0) sources.push(`${networkTiles.size} map tile${networkTiles.size === 1 ? '' : 's'}`);
+  if (importedNetwork) sources.push(importedNetwork.name);
+
+  useStreetGraph(mergeStreetGraphs(parts), sources.join(' + '), reroute);
+}
+
+/**
+ * Make sure the given tiles are loaded, fetching the missing ones
+ * Loads wait for the one in progress, and the ones asked for meanwhile
+ * with the same options (e.g. while the user pans) are merged, so the
+ * network is rebuilt once for all of them.
+ * @param {Array<Object>} tiles - Tiles from getTilesInBox()
+ * @param {boolean} [refresh] - Download them again even if loaded or cached
+ * @param {boolean} [reroute] - Redo the route on screen if the network changes
+ * @returns {Promise<boolean>} True if the network changed
+ */
+function loadNetworkTiles(tiles, refresh = false, reroute = true) {
+  let batch = queuedTileBatch;
+  if (!batch || batch.refresh !== refresh || batch.reroute !== reroute || batch.generation !== networkGeneration) {
+    batch = { tiles: new Map(), refresh, reroute, generation: networkGeneration };
+    batch.done = tileBatchChain.then(() => {
+      if (queuedTileBatch === batch) queuedTileBatch = null;
+      return loadTileBatch(batch);
+    });
+    tileBatchChain = batch.done.catch(() => {});
+    queuedTileBatch = batch;
+  }
+
+  tiles.forEach(tile => {
+    batch.tiles.delete(tile.key);
+    batch.tiles.set(tile.key, tile);
+  });
+  // Loads for the view: views panned away from give way to the latest one
+  if (reroute) {
+    while (batch.tiles.size > MAX_LOADED_TILES) batch.tiles.delete(batch.tiles.keys().next().value);
+  }
+  return batch.done;
+}
+
+/**
+ * Wait for the tile loads asked for so far
+ * @returns {Promise} Resolves once they have finished (or failed)
+ */
+function waitForTileLoads() {
+  return tileBatchChain;
+}
+
+/**
+ * Load one batch of tiles and rebuild the network once for it
+ * @param {Object} batch - Batch from loadNetworkTiles()
+ * @returns {Promise<boolean>} True if the network changed
+ */
+async function loadTileBatch(batch) {
+  const { refresh, reroute, generation } = batch;
+  const tiles = [...batch.tiles.values()];
+  // The city was switched while waiting for an earlier batch
+  if (generation !== networkGeneration) return false;
+
+  const now = Date.now();
+  tiles.forEach(tile => {
+    if (networkTiles.has(tile.key)) networkTiles.get(tile.key).lastUsed = now;
+  });
+
+  const missing = tiles.filter(tile => refresh || !networkTiles.has(tile.key));
+  if (missing.length === 0) return false;
+
+  document.getElementById('loadingIndicator').style.display = 'block';
+  document.getElementById('findRouteBtn').disabled = true;
+  setStatus(true, `Street network: loading ${missing.length} tile${missing.length === 1 ? '' : 's'}…`);
+
+  let failed = 0;
+
+  // One at a time, to stay within Overpass rate limits
+  for (const [index, tile] of missing.entries()) {
+    if (generation !== networkGeneration) break;
+    if (!tileRequests.has(tile.key)) {
+      const label = `tile ${index + 1} of ${missing.length}`;
+      tileRequests.set(tile.key, fetchTile(tile, refresh, label).finally(() => tileRequests.delete(tile.key)));
+    }
+
+    try {
+      const { graph: tileGraph } = await tileRequests.get(tile.key);
+      // The city was switched while waiting; the tile belongs to the old one
+      if (generation !== networkGeneration) break;
+      networkTiles.set(tile.key, { key: tile.key, bbox: tile.bbox, graph: tileGraph, lastUsed: now });
+    } catch (error) {
+      console.error(`Error loading street tile ${tile.key}:`, error);
+      failed++;
+    }
+  }
+
+  document.getElementById('loadingIndicator').style.display = 'none';
+  document.getElementById('findRouteBtn').disabled = false;
+  if (generation !== networkGeneration) return false;
+
+  evictTiles(new Set([...tiles, ...getRouteTiles()].map(tile => tile.key)));
+
+  if (networkTiles.size === 0 && !importedNetwork) {
+    alert('Error loading street data. Please try again, or import an .osm file under "Street network".');
+    setStatus(false, 'Street network: error');
+    document.getElementById('headerStatus').textContent = 'Error';
+    return false;
+  }
+
+  rebuildStreetNetwork(reroute);
+  if (failed > 0) {
+    document.getElementById('networkStatus').textContent +=
+      ` ${failed} tile${failed === 1 ? '' : 's'} could not be downloaded.`;
+  }
+  return true;
+}
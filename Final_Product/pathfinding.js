@@ -0,0 +1,555 @@
+// ============================================================
+// PATHFINDING
+// ============================================================
+// A* search, multi-stop routes, route statistics and alternative routes.
+// Like graph.js this has no DOM or Leaflet code and runs in the worker
+// and in Node.js.
+
+// ============================================================
+// PRIORITY QUEUE
+// ============================================================
+
+/**
+ * Binary min-heap keyed on a numeric priority
+ * Used as the open set for the A* search below
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * Add a value with the given priority
+   * @param {*} value Stored value
+   * @param {number} priority Lower comes out first
+   */
+  push(value, priority) {
+    const items = this.items;
+    items.push({ value, priority });
+
+    // Sift up
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  /**
+   * Remove and return the entry with the lowest priority
+   * @returns {Object|undefined} { value, priority }
+   */
+  pop() {
+    const items = this.items;
+    if (items.length === 0) return undefined;
+
+    const top = items[0];
+    const last = items.pop();
+    if (items.length === 0) return top;
+    items[0] = last;
+
+    // Sift down
+    let i = 0;
+    while (true) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+      if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+      if (smallest === i) break;
+      [items[smallest], items[i]] = [items[i], items[smallest]];
+      i = smallest;
+    }
+
+    return top;
+  }
+}
+
+// ============================================================
+// A* SEARCH FOR SAFEST PATH
+// ============================================================
+
+/**
+ * A* search for the safest path between two nodes
+ * Minimizes total edge weight (see getEdgeWeight). The heuristic is the
+ * distance part of the weight over the straight-line distance, which never
+ * overestimates because crime scores are never negative.
+ * @param {number} startNodeId Starting node ID
+ * @param {number} endNodeId Ending node ID
+ * @param {number} [priority] Safety priority (defaults to the slider value)
+ * @param {Map} [penalties] Edge ID -> weight multiplier (>= 1) for edges to avoid
+ * @param {string} [profile] Routing profile (defaults to the selected one)
+ * @returns {Object|null} { nodes, edges } as arrays of node IDs and edge IDs, or null if no path found
+ */
+function findPath(startNodeId, endNodeId, priority = safetyPriority, penalties = null, profile = routingProfile) {
+  const endNode = graph.nodes[endNodeId];
+  const distanceFactor = getDistanceShare(priority) * DISTANCE_WEIGHT;
+  const heuristic = nodeId => {
+    const node = graph.nodes[nodeId];
+    return getDistance(node.lat, node.lng, endNode.lat, endNode.lng) * distanceFactor;
+  };
+
+  const costs = new Map([[startNodeId, 0]]);
+  const previous = new Map(); // nodeId -> { node, edgeId }
+  const closed = new Set();
+  const open = new MinHeap();
+  open.push(startNodeId, heuristic(startNodeId));
+
+  while (open.size > 0) {
+    const currentNode = open.pop().value;
+    if (currentNode === endNodeId) break;
+
+    // Stale heap entries are skipped instead of decreased in place
+    if (closed.has(currentNode)) continue;
+    closed.add(currentNode);
+
+    graph.adjacency[currentNode].forEach(({ to, edgeId }) => {
+      const edge = graph.edges[edgeId];
+      if (closed.has(to) || !isEdgePassable(edge, profile)) return;
+
+      const penalty = penalties && penalties.has(edgeId) ? penalties.get(edgeId) : 1;
+      const alt = costs.get(currentNode) + getEdgeWeight(edge, priority, profile) * penalty;
+      if (alt < (costs.has(to) ? costs.get(to) : Infinity)) {
+        costs.set(to, alt);
+        previous.set(to, { node: currentNode, edgeId });
+        open.push(to, alt + heuristic(to));
+      }
+    });
+  }
+
+  if (startNodeId === endNodeId || !previous.has(endNodeId)) return null;
+
+  // Reconstruct path from end to start
+  const nodes = [endNodeId];
+  const edges = [];
+  let current = endNodeId;
+  while (previous.has(current)) {
+    const step = previous.get(current);
+    edges.unshift(step.edgeId);
+    nodes.unshift(step.node);
+    current = step.node;
+  }
+
+  return { nodes, edges };
+}
+
+// ============================================================
+// ROUTES THROUGH WAYPOINTS
+// ============================================================
+
+/**
+ * Route through a list of waypoints leg by leg and join the legs
+ * @param {Array<Object>} waypoints Waypoints from snapPointsToNetwork() in visiting order
+ * @param {number} [priority] Safety priority (defaults to the slider value)
+ * @param {Map} [penalties] Edge ID -> weight multiplier, see findPath()
+ * @param {string} [profile] Routing profile (defaults to the selected one)
+ * @returns {Object|null} { nodes, edges, waypoints, legs, profile } where legs
+ *   are the per-leg paths, or null if any leg has no path
+ */
+function findRoutePath(waypoints, priority = safetyPriority, penalties = null, profile = routingProfile) {
+  const nodeIds = waypoints.map(waypoint => waypoint.nodeId);
+  const route = { nodes: [nodeIds[0]], edges: [], waypoints, legs: [], profile };
+
+  for (let i = 0; i < nodeIds.length - 1; i++) {
+    // Two points snapped to the same node make an empty leg
+    if (nodeIds[i] === nodeIds[i + 1]) {
+      route.legs.push({ nodes: [nodeIds[i]], edges: [] });
+      continue;
+    }
+
+    const leg = findPath(nodeIds[i], nodeIds[i + 1], priority, penalties, profile);
+    if (!leg) return null;
+
+    route.legs.push(leg);
+    route.nodes.push(...leg.nodes.slice(1));
+    route.edges.push(...leg.edges);
+  }
+
+  return route.edges.length > 0 ? route : null;
+}
+
+/**
+ * Get the safety rating label and color for an average crime level
+ * @param {number} avgCrimes Length-weighted average crime score along a route
+ * @returns {Object} { label, color }
+ */
+function getSafetyRating(avgCrimes) {
+  if (avgCrimes <= 2) return { label: 'Very Safe', color: '#22c55e' };
+  if (avgCrimes <= 5) return { label: 'Safe', color: '#eab308' };
+  if (avgCrimes <= 8) return { label: 'Moderate', color: '#f97316' };
+  return { label: 'Caution Advised', color: '#ef4444' };
+}
+
+/**
+ * Walking distance between the route points and where they were snapped
+ * onto the street (a stop counts twice: in and back out)
+ * @param {Object} path Path from findRoutePath()
+ * @returns {number} Distance in km
+ */
+function getAccessDistance(path) {
+  if (!path.waypoints) return 0;
+
+  return path.waypoints.reduce((sum, waypoint, index) => {
+    const node = graph.nodes[waypoint.nodeId];
+    const trips = index === 0 || index === path.waypoints.length - 1 ? 1 : 2;
+    return sum + trips * getDistance(waypoint.lat, waypoint.lng, node.lat, node.lng);
+  }, 0);
+}
+
+/**
+ * Calculate statistics for a path
+ * @param {Object} path Path from findPath()
+ * Edge scores are levels per km (see getEdgeCrimes), so each one is weighted
+ * by its length: exposure is score x km, and the rating uses the crime
+ * level averaged over distance (exposure per km). Neither changes when OSM
+ * splits a block into more pieces; crimes, the plain sum of the scores,
+ * does. The walk to and from the street counts towards distance but not
+ * crime.
+ * @returns {Object} { distance (km), crimes, exposure (crime x km), crimeLevel, segments, rating }
+ */
+function getRouteStats(path) {
+  let totalCrimes = 0;
+  let totalDistance = 0;
+  let exposure = 0;
+
+  path.edges.forEach(edgeId => {
+    const edge = graph.edges[edgeId];
+    totalCrimes += edge.crimes;
+    totalDistance += edge.distance;
+    exposure += edge.crimes * edge.distance;
+  });
+
+  const crimeLevel = totalDistance > 0 ? exposure / totalDistance : 0;
+
+  return {
+    distance: totalDistance + getAccessDistance(path),
+    crimes: Math.round(totalCrimes * 10) / 10,
+    exposure,
+    crimeLevel: Math.round(crimeLevel * 10) / 10,
+    segments: path.edges.length,
+    rating: getSafetyRating(crimeLevel)
+  };
+}
+
+// Average walking speed used for time estimates
+const WALKING_SPEED_KMH = 4.8;
+
+/**
+ * Convert a path to [lat, lng] coordinates (Leaflet order)
+ * @param {Object} path Path from findPath()
+ * @returns {Array} [[lat, lng], ...]
+ */
+function getPathCoords(path) {
+  return path.nodes.map(nodeId => {
+    const node = graph.nodes[nodeId];
+    return [node.lat, node.lng];
+  });
+}
+
+/**
+ * Convert a route to [lat, lng] coordinates, including the walk from each
+ * route point to the street and back
+ * @param {Object} path Path from findRoutePath()
+ * @returns {Array} [[lat, lng], ...]
+ */
+function getRouteCoords(path) {
+  if (!path.waypoints) return getPathCoords(path);
+
+  const coords = [];
+  path.legs.forEach((leg, index) => {
+    const from = path.waypoints[index];
+    const to = path.waypoints[index + 1];
+    coords.push([from.lat, from.lng], ...getPathCoords(leg), [to.lat, to.lng]);
+  });
+  return coords;
+}
+
+// ============================================================
+// ROUTE OPTIONS & ALTERNATIVES
+// ============================================================
+
+// Safety priorities sampled by "Show Options"
+const OPTION_PRIORITIES = [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1];
+
+// Alternative routes: how many to offer, how much of a route may be shared
+// with an already chosen one, how much more each found route's streets
+// cost in the next search, and how many searches to run at most
+const ALTERNATIVE_COUNT = 3;
+const MAX_ROUTE_OVERLAP = 0.7;
+const ALTERNATIVE_PENALTY = 1.4;
+const MAX_ALTERNATIVE_ATTEMPTS = 12;
+
+/**
+ * Route across the whole safety/distance range
+ * @param {Array<Object>} waypoints Waypoints from snapPointsToNetwork() in visiting order
+ * @param {string} [profile] Routing profile (defaults to the selected one)
+ * @returns {Array<Object>} Distinct routes as { path, priority }, the lowest
+ *   priority that produced each
+ */
+function findOptionPaths(waypoints, profile = routingProfile) {
+  const byEdges = new Map();
+
+  OPTION_PRIORITIES.forEach(priority => {
+    const path = findRoutePath(waypoints, priority, null, profile);
+    if (!path) return;
+
+    const key = path.edges.join(',');
+    if (!byEdges.has(key)) byEdges.set(key, { path, priority });
+  });
+
+  return [...byEdges.values()];
+}
+
+/**
+ * Total routing weight of a path
+ * @param {Object} path Path from findPath()
+ * @param {number} priority Safety priority
+ * @param {string} [profile] Routing profile (defaults to the selected one)
+ * @returns {number} Sum of edge weights
+ */
+function getPathWeight(path, priority, profile = routingProfile) {
+  return path.edges.reduce((sum, edgeId) => sum + getEdgeWeight(graph.edges[edgeId], priority, profile), 0);
+}
+
+/**
+ * Share of a path's length that it has in common with another path
+ * @param {Object} path Path being checked
+ * @param {Object} other Path it is compared against
+ * @returns {number} Overlap from 0 to 1
+ */
+function getPathOverlap(path, other) {
+  const otherEdges = new Set(other.edges);
+  let shared = 0;
+  let total = 0;
+
+  path.edges.forEach(edgeId => {
+    const distance = graph.edges[edgeId].distance;
+    total += distance;
+    if (otherEdges.has(edgeId)) shared += distance;
+  });
+
+  return total > 0 ? shared / total : 1;
+}
+
+/**
+ * Find up to k meaningfully different routes
+ * Each path found makes its edges more expensive (penalty method), pushing
+ * the next search onto other streets. Paths overlapping an accepted route
+ * by more than MAX_ROUTE_OVERLAP are skipped. Plain k-shortest-paths
+ * (Yen's algorithm) is too slow here: on a street grid the next few
+ * hundred shortest paths differ by a block or two.
+ * @param {Array<Object>} waypoints Waypoints from snapPointsToNetwork() in visiting order
+ * @param {number} k Number of routes wanted
+ * @param {number} [priority] Safety priority (defaults to the slider value)
+ * @param {string} [profile] Routing profile (defaults to the selected one)
+ * @returns {Array} Paths, lowest unpenalized weight first
+ */
+function findAlternativePaths(waypoints, k, priority = safetyPriority, profile = routingProfile) {
+  const first = findRoutePath(waypoints, priority, null, profile);
+  if (!first) return [];
+
+  const accepted = [first];
+  const penalties = new Map();
+  let last = first;
+
+  for (let attempt = 0; attempt < MAX_ALTERNATIVE_ATTEMPTS && accepted.length < k; attempt++) {
+    last.edges.forEach(edgeId => {
+      penalties.set(edgeId, (penalties.get(edgeId) || 1) * ALTERNATIVE_PENALTY);
+    });
+
+    last = findRoutePath(waypoints, priority, penalties, profile);
+    if (!last) break;
+
+    if (accepted.every(path => getPathOverlap(last, path) <= MAX_ROUTE_OVERLAP)) {
+      accepted.push(last);
+    }
+  }
+
+  return accepted.sort((a, b) => getPathWeight(a, priority, profile) - getPathWeight(b, priority, profile));
+}
+
+// ============================================================
+// TRACK MATCHING
+// ============================================================
+
+// Track points closer than this (meters) to the previous kept point are
+// skipped, so GPS jitter doesn't add detours
+const MATCH_SPACING_METERS = 25;
+
+// Track points farther than this (meters) from any street are ignored;
+// out-and-back spurs up to this long are treated as GPS noise
+const MAX_MATCH_METERS = 60;
+
+/**
+ * Match a recorded or drawn track onto the street network
+ * The thinned track points are snapped onto streets and joined by the
+ * shortest street path between each pair, then spurs where a point
+ * snapped onto a side street (walked there and straight back, up to
+ * MAX_MATCH_METERS in all) are removed.
+ * @param {Array<Object>} points Track points as { lat, lng }
+ * @returns {Object|null} Path like findRoutePath()'s with the first and last
+ *   track points as its waypoints, or null if the track doesn't follow streets.
+ *   trackPoints are the points that were snapped: snapping them again
+ *   (profile 'walking') recreates the path's temporary nodes.
+ */
+function matchTrackToNetwork(points) {
+  const kept = [];
+  points.forEach((point, index) => {
+    const last = kept[kept.length - 1];
+    const isEnd = index === points.length - 1;
+    if (!isEnd && last && getDistance(last.lat, last.lng, point.lat, point.lng) * 1000 < MATCH_SPACING_METERS) return;
+
+    const snap = findNearestEdge(point.lat, point.lng, 'walking');
+    if (snap && snap.meters <= MAX_MATCH_METERS) kept.push({ lat: point.lat, lng: point.lng });
+  });
+  if (kept.length < 2) return null;
+
+  const waypoints = snapPointsToNetwork(kept, 'walking');
+  const route = waypoints && findRoutePath(waypoints, 0, null, 'walking');
+  if (!route) return null;
+
+  // Walking an edge straight back cancels it, so nested spurs (A-B-C-B-A)
+  // unwind as well. Each kept step holds the steps of the spurs removed
+  // after it, so a spur is measured, and dropped or kept, as a whole.
+  const steps = [];
+  route.edges.forEach((edgeId, i) => {
+    const step = { edgeId, nodeId: route.nodes[i + 1], spur: [] };
+    const last = steps[steps.length - 1];
+
+    if (last && last.edgeId === edgeId) {
+      const walked = [last, ...last.spur, step];
+      const meters = walked.reduce((sum, walkedStep) => sum + graph.edges[walkedStep.edgeId].distance * 1000, 0) / 2;
+      if (meters <= MAX_MATCH_METERS) {
+        steps.pop();
+        if (steps.length > 0) steps[steps.length - 1].spur.push(...walked);
+        return;
+      }
+      last.spur.forEach(removed => { removed.spur = []; });
+      steps.push(...last.spur);
+      last.spur = [];
+    }
+    steps.push(step);
+  });
+  if (steps.length === 0) return null;
+
+  const nodes = [route.nodes[0], ...steps.map(step => step.nodeId)];
+  const edges = steps.map(step => step.edgeId);
+
+  return {
+    nodes,
+    edges,
+    waypoints: [waypoints[0], waypoints[waypoints.length - 1]],
+    legs: [{ nodes, edges }],
+    profile: 'walking',
+    trackPoints: kept
+  };
+}
+
+// ============================================================
+// QUERY API
+// ============================================================
+// Queries are plain objects so they can be posted to the background worker
+// unchanged; the page runs the same function itself when no worker is
+// available.
+//
+//   { type: 'build', bbox, polygons } or { type: 'build', elements, polygons }
+//       -> graph from buildStreetGraph(), with neighborhoods looked up in
+//       the boundaries (the worker is sent the page's, see worker.js)
+//   { type: 'route', mode, points, priority, profile, withBaseline }
+//       -> { waypoints, routes: [{ path, priority, stats }], baseline }
+//       mode is 'safest', 'options' or 'alternatives'
+//   { type: 'audit', points, priority, profile, withBaseline }
+//       -> { walk, recommended, profile, baseline }, see runAuditQuery()
+//   { type: 'stats', paths } -> stats from getRouteStats() for each path
+
+/**
+ * Snap the route points and run a route query on the current graph
+ * @param {Object} query Route query (see above)
+ * @returns {Object} { waypoints, routes, baseline }; routes is empty if no route exists
+ */
+function runRouteQuery(query) {
+  const { mode, points, priority, profile } = query;
+  const waypoints = snapPointsToNetwork(points, profile);
+  if (!waypoints) return { waypoints: null, routes: [], baseline: null };
+
+  let found;
+  if (mode === 'options') {
+    found = findOptionPaths(waypoints, profile);
+  } else if (mode === 'alternatives') {
+    found = findAlternativePaths(waypoints, ALTERNATIVE_COUNT, priority, profile).map(path => ({ path, priority }));
+  } else {
+    const path = findRoutePath(waypoints, priority, null, profile);
+    found = path ? [{ path, priority }] : [];
+  }
+
+  return {
+    waypoints,
+    routes: found.map(route => ({ ...route, stats: getRouteStats(route.path) })),
+    baseline: query.withBaseline ? findRoutePath(waypoints, 0, null, profile) : null
+  };
+}
+
+/**
+ * Match a walk onto the streets and find the recommended route between
+ * its ends
+ * Both paths come from the same snap, so their edge IDs can be compared.
+ * An accessible route falls back to walking if there is none.
+ * @param {Object} query Audit query (see above)
+ * @returns {Object} { walk, recommended, profile, baseline }; walk is null if
+ *   the track doesn't follow streets, recommended if no route exists.
+ *   profile is the one recommended was found with.
+ */
+function runAuditQuery(query) {
+  const walk = matchTrackToNetwork(query.points);
+  if (!walk) return { walk: null, recommended: null, profile: query.profile, baseline: null };
+
+  let profile = query.profile;
+  let recommended = findRoutePath(walk.waypoints, query.priority, null, profile);
+  if (!recommended && profile === 'accessible') {
+    profile = 'walking';
+    recommended = findRoutePath(walk.waypoints, query.priority, null, profile);
+  }
+
+  return {
+    walk,
+    recommended,
+    profile,
+    baseline: recommended && query.withBaseline ? findRoutePath(walk.waypoints, 0, null, profile) : null
+  };
+}
+
+/**
+ * Run a build, route, audit or stats query
+ * @param {Object} query Query (see above)
+ * @param {Function} [onProgress] Called with progress updates while building
+ * @returns {Promise<*>} Query result
+ */
+async function runCoreQuery(query, onProgress = () => {}) {
+  switch (query.type) {
+    case 'build': {
+      let elements = query.elements;
+      if (!elements) {
+        onProgress({ phase: 'downloading' });
+        elements = await fetchStreetElements(query.bbox);
+      }
+
+      const built = buildStreetGraph(elements, onProgress);
+      assignEdgeNeighborhoods(built);
+      return built;
+    }
+    case 'route':
+      return runRouteQuery(query);
+    case 'audit':
+      return runAuditQuery(query);
+    case 'stats':
+      return query.paths.map(getRouteStats);
+    default:
+      throw new Error(`Unknown query type: ${query.type}`);
+  }
+}
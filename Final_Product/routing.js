@@ -1,189 +1,678 @@
-// DIJKSTRA'S ALGORITHM FOR SAFEST PATH
-/**
- * Dijkstra's algorithm to find the safest path between two nodes
- * Minimizes total weight (crime score + distance)
- * @param {number} startNodeId Starting node ID
- * @param {number} endNodeId Ending node ID
- * @returns {Array|null} Path as array of node IDs, or null if no path found
- */
-function dijkstra(startNodeId, endNodeId) {
-    const distances = {};
-    const previous = {};
-    const unvisited = new Set();
-  
-    // Initialize all nodes
-    graph.nodes.forEach(node => {
-      distances[node.id] = Infinity;
-      previous[node.id] = null;
-      unvisited.add(node.id);
-    });
-    distances[startNodeId] = 0;
-  
-    // Main algorithm loop
-    while (unvisited.size > 0) {
-      // Find unvisited node with minimum distance
-      let currentNode = null;
-      let minDist = Infinity;
-  
-      unvisited.forEach(nodeId => {
-        if (distances[nodeId] < minDist) {
-          minDist = distances[nodeId];
-          currentNode = nodeId;
-        }
-      });
+  // ============================================================
+  // ROUTE FINDING & DISPLAY
+  // ============================================================
   
-      // If no reachable node found or we reached destination, stop
-      if (currentNode === null || currentNode === endNodeId) break;
+  // Routes within this many km of each other count as equally long when
+  // picking options, so a few meters saved don't justify a riskier route
+  const OPTION_DISTANCE_TOLERANCE = 0.02;
   
-      unvisited.delete(currentNode);
+  // Line colors and dash patterns for route options, in display order
+  const OPTION_COLORS = ['#60a5fa', '#a78bfa', '#f472b6', '#34d399', '#fbbf24', '#22d3ee'];
+  const OPTION_DASHES = [null, '12, 6', '4, 6', '16, 4, 4, 4', '2, 8', '8, 8'];
   
-      // Check all neighbors of current node
-      graph.edges.forEach(edge => {
-        let neighbor = null;
-        let weight = edge.weight;
+  // Searches redone when new street tiles arrive during one
+  const ROUTE_SEARCH_RETRIES = 1;
   
-        // Edges are bidirectional
-        if (edge.from === currentNode) {
-          neighbor = edge.to;
-        } else if (edge.to === currentNode) {
-          neighbor = edge.from;
-        }
+  // Routes currently offered by "Show Options"
+  let routeOptions = [];
+  
+  /**
+   * Start, stops and end of the route being planned
+   * @returns {Array<Object>} Points in visiting order; empty until both
+   *   start and end are set
+   */
+  function getRoutePoints() {
+    return startPoint && endPoint ? [startPoint, ...stopPoints, endPoint] : [];
+  }
+  
+  /**
+   * Check the route inputs, load the street tiles they need and snap the
+   * start, stops and end onto streets
+   * Also rescores streets for the selected departure time
+   * @param {string} [profile] Routing profile (defaults to the selected one)
+   * @param {Array<Object>} [points] Points to route through (defaults to the
+   *   start, stops and end)
+   * @returns {Promise<Array|null>} Waypoints from snapPointsToNetwork() in
+   *   visiting order, or null if routing can't run
+   */
+  async function getRouteWaypoints(profile = routingProfile, points = getRoutePoints()) {
+    // Validate inputs
+    if (points.length < 2) {
+      alert('Please select both start and end points!');
+      return null;
+    }
+  
+    // Fetch any part of the route area that isn't loaded yet
+    const tiles = getTilesAroundPoints(points);
+    if (tiles.length > MAX_LOADED_TILES) {
+      alert('These points are too far apart to route between. Try points closer together.');
+      return null;
+    }
+    await loadNetworkTiles(tiles, false, false);
+  
+    if (graph.nodes.length === 0) {
+      alert('Street data not loaded yet. Please wait...');
+      return null;
+    }
+  
+    // Score streets for the selected departure time
+    const departValue = document.getElementById('departTimeInput').value;
+    if (departValue) setDepartureTime(new Date(departValue));
+  
+    // Snap each point onto the closest reachable street
+    const waypoints = snapPointsToNetwork(points, profile);
+    if (!waypoints) {
+      alert('No street found near one of the route points.');
+      return null;
+    }
+    return waypoints;
+  }
   
-        // If this is a neighbor we haven't visited yet
-        if (neighbor !== null && unvisited.has(neighbor)) {
-          const alt = distances[currentNode] + weight;
-          if (alt < distances[neighbor]) {
-            distances[neighbor] = alt;
-            previous[neighbor] = currentNode;
-          }
+  /**
+   * Run a route query for the current route points in the background
+   * The page snaps the points exactly as the worker does, so node and edge
+   * IDs in the result are valid here too. The shortest route comes back
+   * with it and is cached for the comparison.
+   * @param {string} mode 'safest', 'options' or 'alternatives'
+   * @param {string} [profile] Routing profile (defaults to the selected one)
+   * @param {Array<Object>} [points] Points to route through (defaults to the
+   *   start, stops and end)
+   * @returns {Promise<Object|null>} Result from runRouteQuery(), or null if
+   *   routing couldn't run or was cancelled
+   */
+  async function findRoutes(mode, profile = routingProfile, points = getRoutePoints()) {
+    for (let attempt = 0; attempt <= ROUTE_SEARCH_RETRIES; attempt++) {
+      const waypoints = await getRouteWaypoints(profile, points);
+      if (!waypoints) return null;
+  
+      const version = graphVersion;
+      const cancelButton = document.getElementById('cancelRouteBtn');
+      cancelButton.style.display = 'block';
+      setStatus(true, 'Finding route…');
+  
+      let result;
+      try {
+        result = await runBackgroundQuery({
+          type: 'route',
+          mode,
+          points: waypoints.map(({ lat, lng }) => ({ lat, lng })),
+          priority: safetyPriority,
+          profile,
+          withBaseline: true
+        });
+      } catch (error) {
+        if (error.cancelled) {
+          setStatus(false, 'Route search cancelled');
+        } else {
+          console.error('Route search failed:', error);
+          alert('Route search failed. Please try again.');
         }
-      });
+        return null;
+      } finally {
+        cancelButton.style.display = 'none';
+      }
+  
+      if (version === graphVersion) {
+        setStatus(false, `Street network: ready (${graph.baseEdgeCount} segments)`);
+        baselineRoute = { key: getBaselineKey(waypoints, profile), path: result.baseline };
+        updateRouteLink();
+        return result;
+      }
+  
+      // New tiles arrived while searching; the result's IDs belong to the
+      // old network. Search again once the loads under way are done.
+      await waitForTileLoads();
+    }
+  
+    setStatus(false, 'Route search stopped: the street network kept changing. Please try again.');
+    return null;
+  }
+  
+  /**
+   * Cancel a slow route search (Cancel button)
+   */
+  function cancelRouteSearch() {
+    cancelRouteQueries();
+  }
+  
+  /**
+   * Format a distance in km as miles
+   * @param {number} km Distance in kilometers
+   * @returns {string} e.g. "0.42 mi"
+   */
+  function formatMiles(km) {
+    const miles = km * 0.621371; // Convert km to miles
+    return `${miles.toFixed(2)} mi`;
+  }
+  
+  /**
+   * Draw a path as the active route
+   * @param {Object} path Path from findRoutePath()
+   */
+  function drawRoute(path) {
+    // Remove old route if exists
+    if (routeLayer) {
+      map.removeLayer(routeLayer);
+    }
+  
+    routeLayer = L.polyline(getRouteCoords(path), {
+      color: '#60a5fa',
+      weight: 6,
+      opacity: 0.95,
+      dashArray: '10, 8'
+    }).addTo(map);
+  }
+  
+  /**
+   * Fill in the route summary card
+   * @param {Object} stats Stats from getRouteStats()
+   */
+  function showRouteSummary(stats) {
+    document.getElementById('routeDistance').textContent = formatMiles(stats.distance);
+    document.getElementById('routeCrimeScore').textContent = stats.crimes;
+    document.getElementById('routeSegments').textContent = stats.segments;
+    document.getElementById('routeCrimeLevel').textContent = stats.crimeLevel;
+    document.getElementById('safetyRating').textContent = stats.rating.label;
+    document.getElementById('safetyIndicator').style.backgroundColor = stats.rating.color;
+    document.getElementById('routeInfo').style.display = 'block';
+  }
+  
+  /**
+   * Name a waypoint for the leg list
+   * @param {number} index Position in the waypoint list
+   * @param {number} count Number of waypoints
+   * @returns {string} "Start", "Stop 1", ... or "End"
+   */
+  function getWaypointName(index, count) {
+    if (index === 0) return 'Start';
+    if (index === count - 1) return 'End';
+    return `Stop ${index}`;
+  }
+  
+  /**
+   * List per-leg stats in the summary card (only for routes with stops)
+   * @param {Object} path Path from findRoutePath()
+   */
+  function showLegSummary(path) {
+    const list = document.getElementById('routeLegs');
+    const legs = path.legs || [];
+  
+    if (legs.length < 2) {
+      list.style.display = 'none';
+      return;
     }
   
-    // Reconstruct path from end to start
-    const path = [];
-    let current = endNodeId;
-    while (current !== null) {
-      path.unshift(current);
-      current = previous[current];
+    list.innerHTML = legs.map((leg, index) => {
+      const from = getWaypointName(index, legs.length + 1);
+      const to = getWaypointName(index + 1, legs.length + 1);
+  
+      if (leg.edges.length === 0) {
+        return `<div class="stat"><span>${from} → ${to}</span><b>same spot</b></div>`;
+      }
+  
+      const stats = getRouteStats(leg);
+      return `
+        <div class="stat">
+          <span>${from} → ${to}</span>
+          <b>${formatMiles(stats.distance)} · crime ${stats.crimes} ·
+            <span style="color:${stats.rating.color};">${stats.rating.label}</span></b>
+        </div>
+      `;
+    }).join('');
+    list.style.display = 'grid';
+  }
+  
+  /**
+   * Streets on a path that the accessible profile can't use
+   * @param {Object} path Path from findRoutePath()
+   * @returns {Array<Object>} { edgeId, streetName, reason }, one per street and reason
+   */
+  function findAccessibilityBarriers(path) {
+    const seen = new Set();
+    const barriers = [];
+  
+    path.edges.forEach(edgeId => {
+      const edge = graph.edges[edgeId];
+      const reason = getAccessibilityBarrier(edge);
+      const key = `${edge.streetName}|${reason}`;
+      if (!reason || seen.has(key)) return;
+  
+      seen.add(key);
+      barriers.push({ edgeId, streetName: edge.streetName, reason });
+    });
+  
+    return barriers;
+  }
+  
+  /**
+   * Tell the user whether the route suits the accessible profile
+   * A walking route shown because no accessible one exists gets its
+   * blocking segments named and marked on the map.
+   * @param {Object} path Active route
+   */
+  function showAccessibilityNote(path) {
+    clearAccessibilityNote();
+  
+    const note = document.getElementById('routeAccessNote');
+    if (routingProfile !== 'accessible') return;
+  
+    if (path.profile === 'accessible') {
+      note.textContent = 'Accessible route: no steps, raised kerbs or steep inclines.';
+      note.style.display = 'block';
+      return;
     }
   
-    return path.length > 1 ? path : null;
+    const barriers = findAccessibilityBarriers(path);
+    barriers.forEach(barrier => {
+      const edge = graph.edges[barrier.edgeId];
+      const from = graph.nodes[edge.from];
+      const to = graph.nodes[edge.to];
+      const layer = L.polyline([[from.lat, from.lng], [to.lat, to.lng]], {
+        color: '#a855f7',
+        weight: 8,
+        opacity: 0.9
+      }).addTo(map);
+      layer.bindPopup(`<strong>Not accessible: ${barrier.streetName}</strong><br>${barrier.reason}`);
+      accessLayers.push(layer);
+    });
+  
+    note.innerHTML = `
+      <b>No accessible route found.</b> Showing the walking route instead, which is blocked at:
+      ${barriers.map(barrier => `<br>• <b>${barrier.streetName}</b> (${barrier.reason})`).join('')}
+    `;
+    note.style.display = 'block';
+  }
+  
+  /**
+   * Remove the accessibility note and its map highlights
+   */
+  function clearAccessibilityNote() {
+    accessLayers.forEach(layer => map.removeLayer(layer));
+    accessLayers = [];
+    document.getElementById('routeAccessNote').style.display = 'none';
+  }
+  
+  /**
+   * Make a path the active route: draw it, fill in the summary card and
+   * compare it with the shortest route
+   * @param {Object} path Path from findPath()
+   * @param {Object} stats Stats from getRouteStats()
+   */
+  function showRoute(path, stats) {
+    clearWalkAudit();
+    activePath = path;
+    drawRoute(path);
+    showRouteSummary(stats);
+    showLegSummary(path);
+    showAccessibilityNote(path);
+    showBaselineComparison(path, stats);
+    showRouteAnalysis(path);
+    showDirections(path);
+  }
+  
+  /**
+   * Find and display the safest route from start through any stops to end
+   * @param {boolean} [fit] Zoom the map to the route (off when re-routing after a drag)
+   */
+  async function findSafestRoute(fit = true) {
+    // Run A* search for each leg; if no accessible route exists, fall back
+    // to the walking route so the note can name what blocks it
+    let result = await findRoutes('safest');
+    if (result && result.routes.length === 0 && routingProfile === 'accessible') {
+      result = await findRoutes('safest', 'walking');
+    }
+    if (!result) return;
+  
+    if (result.routes.length === 0) {
+      alert('No route found!');
+      return;
+    }
+  
+    clearRouteOptions();
+    showRoute(result.routes[0].path, result.routes[0].stats);
+  
+    // Fit map to show entire route
+    if (fit) map.fitBounds(routeLayer.getBounds(), { padding: [50, 50] });
   }
   
   // ============================================================
-  // ROUTE FINDING & DISPLAY
+  // SHORTEST ROUTE COMPARISON
   // ============================================================
   
+  // Shortest path for the current waypoints: { key, path }
+  let baselineRoute = null;
+  
   /**
-   * Find and display the safest route between start and end points
+   * Cache key for the shortest route through a set of waypoints
+   * @param {Array<Object>} waypoints Waypoints from snapPointsToNetwork()
+   * @param {string} profile Routing profile
+   * @returns {string} Key
    */
-  function findSafestRoute() {
-    // Validate inputs
-    if (!startPoint || !endPoint) {
-      alert('Please select both start and end points!');
-      return;
+  function getBaselineKey(waypoints, profile) {
+    return profile + ':' + waypoints.map(waypoint => `${waypoint.nodeId}@${waypoint.lat},${waypoint.lng}`).join(';');
+  }
+  
+  /**
+   * Shortest-distance path through the waypoints, ignoring crime
+   * Cached per waypoint list since it doesn't depend on crime scores.
+   * Route queries fill the cache (see findRoutes), so this rarely has to
+   * search on the main thread.
+   * @param {Array<Object>} waypoints Waypoints from snapPointsToNetwork() in visiting order
+   * @param {string} [profile] Routing profile (defaults to the selected one)
+   * @returns {Object|null} Path from findRoutePath()
+   */
+  function getBaselinePath(waypoints, profile = routingProfile) {
+    const key = getBaselineKey(waypoints, profile);
+    if (!baselineRoute || baselineRoute.key !== key) {
+      baselineRoute = { key, path: findRoutePath(waypoints, 0, null, profile) };
     }
+    return baselineRoute.path;
+  }
   
-    if (graph.nodes.length === 0) {
-      alert('Street data not loaded yet. Please wait...');
+  /**
+   * Format a signed difference, using a real minus sign
+   * @param {number} value Difference
+   * @param {string} text Formatted absolute value
+   * @returns {string} e.g. "+0.18 mi" or "−4 min"
+   */
+  function formatSigned(value, text) {
+    return `${value < 0 ? '\u2212' : '+'}${text}`;
+  }
+  
+  /**
+   * Describe what a route costs and saves compared to the shortest route
+   * @param {Object} stats Stats of the chosen route
+   * @param {Object} baselineStats Stats of the shortest route
+   * @returns {string} e.g. "+0.18 mi, +4 min, −62% crime exposure"
+   */
+  function describeSafetyCost(stats, baselineStats) {
+    const extraKm = stats.distance - baselineStats.distance;
+    const extraMin = Math.round(extraKm / WALKING_SPEED_KMH * 60);
+    const extraMiles = Math.abs(extraKm * 0.621371).toFixed(2);
+  
+    let exposure = 'same crime exposure';
+    const change = baselineStats.exposure > 0
+      ? Math.round((stats.exposure - baselineStats.exposure) / baselineStats.exposure * 100)
+      : 0;
+    if (change !== 0) {
+      exposure = `${formatSigned(change, `${Math.abs(change)}%`)} crime exposure`;
+    }
+  
+    return `${formatSigned(extraKm, `${extraMiles} mi`)}, ${formatSigned(extraMin, `${Math.abs(extraMin)} min`)}, ${exposure}`;
+  }
+  
+  /**
+   * Split the edges of a path that are in a set into consecutive runs
+   * @param {Object} path Path the edges belong to
+   * @param {Set} edgeIds Edge IDs to group
+   * @returns {Array<Array<number>>} Runs of positions in path.edges
+   */
+  function groupConsecutiveEdges(path, edgeIds) {
+    const runs = [];
+    let run = [];
+  
+    path.edges.forEach((edgeId, index) => {
+      if (edgeIds.has(edgeId)) {
+        run.push(index);
+      } else if (run.length > 0) {
+        runs.push(run);
+        run = [];
+      }
+    });
+    if (run.length > 0) runs.push(run);
+  
+    return runs;
+  }
+  
+  /**
+   * Draw the shortest route as a ghost line, highlight the streets the
+   * chosen route avoids, and report the difference in the summary card
+   * @param {Object} path Active route
+   * @param {Object} stats Stats of the active route
+   */
+  function showBaselineComparison(path, stats) {
+    clearBaselineComparison();
+  
+    const baseline = getBaselinePath(path.waypoints, path.profile);
+    const comparison = document.getElementById('routeComparison');
+    if (!baseline) return;
+  
+    if (baseline.edges.join(',') === path.edges.join(',')) {
+      comparison.textContent = 'This is also the shortest route.';
+      comparison.style.display = 'block';
       return;
     }
   
-    // Find nearest nodes to start/end points
-    const startNode = findNearestNode(startPoint.lat, startPoint.lng);
-    const endNode = findNearestNode(endPoint.lat, endPoint.lng);
+    baselineLayers.push(L.polyline(getPathCoords(baseline), {
+      color: '#94a3b8',
+      weight: 5,
+      opacity: 0.45
+    }).addTo(map));
+  
+    // Stretches of the shortest route that the chosen route avoids
+    const routeEdges = new Set(path.edges);
+    const avoided = new Set(baseline.edges.filter(edgeId => !routeEdges.has(edgeId)));
+  
+    groupConsecutiveEdges(baseline, avoided).forEach(run => {
+      const stretch = {
+        nodes: baseline.nodes.slice(run[0], run[run.length - 1] + 2),
+        edges: run.map(index => baseline.edges[index])
+      };
+      const { distance, crimeLevel, rating } = getRouteStats(stretch);
+      const streets = new Set(stretch.edges.map(edgeId => graph.edges[edgeId].streetName));
+      const layer = L.polyline(getPathCoords(stretch), {
+        color: '#ef4444',
+        weight: 4,
+        opacity: 0.8,
+        dashArray: '2, 6'
+      }).addTo(map);
+      layer.bindPopup(`
+        <strong>Avoided: ${[...streets].join(', ')}</strong><br>
+        ${formatMiles(distance)} of the shortest route<br>
+        Crime Level: ${crimeLevel} (${rating.label})
+      `);
+      baselineLayers.push(layer);
+    });
+  
+    const baselineStats = getRouteStats(baseline);
+    comparison.innerHTML = `
+      <div>vs. shortest route (${formatMiles(baselineStats.distance)}, crime ${baselineStats.crimes}):</div>
+      <b>${describeSafetyCost(stats, baselineStats)}</b>
+      <div class="hint">Grey line: shortest route. Red dots: streets this route avoids (click for details).</div>
+    `;
+    comparison.style.display = 'block';
+  }
   
-    // Run Dijkstra's algorithm
-    const path = dijkstra(startNode.id, endNode.id);
+  /**
+   * Remove the shortest-route comparison from the map and summary card
+   */
+  function clearBaselineComparison() {
+    baselineLayers.forEach(layer => map.removeLayer(layer));
+    baselineLayers = [];
+    document.getElementById('routeComparison').style.display = 'none';
+  }
   
-    if (!path) {
+  // ============================================================
+  // ROUTE OPTIONS (SAFETY VS. DISTANCE)
+  // ============================================================
+  
+  /**
+   * Keep only routes that no other route beats on both distance and crime
+   * exposure (Pareto-optimal set)
+   * Exposure is the route's crime level (see getRouteStats), which doesn't
+   * grow with the number of segments the way a sum of scores would.
+   * @param {Array} options Options with stats
+   * @returns {Array} Pareto-optimal options, shortest first
+   */
+  function getParetoOptions(options) {
+    return options
+      .filter(option => !options.some(other =>
+        other !== option &&
+        other.stats.distance <= option.stats.distance + OPTION_DISTANCE_TOLERANCE &&
+        other.stats.crimeLevel <= option.stats.crimeLevel &&
+        (other.stats.distance < option.stats.distance || other.stats.crimeLevel < option.stats.crimeLevel)
+      ))
+      .sort((a, b) => a.stats.distance - b.stats.distance);
+  }
+  
+  /**
+   * Route across the whole safety/distance range and show the
+   * Pareto-optimal set (distance vs. crime exposure) on the map
+   */
+  async function showRouteOptions() {
+    // Distinct paths across the range of priorities
+    const result = await findRoutes('options');
+    if (!result) return;
+  
+    if (result.routes.length === 0) {
       alert('No route found!');
       return;
     }
   
-    // Remove old route if exists
+    presentRouteOptions(getParetoOptions(result.routes), 'Route options',
+      'No option is both shorter and safer than another. Pick one to see its summary.');
+  }
+  
+  /**
+   * Draw a set of routes and list them side by side in the options card
+   * The first route starts out selected.
+   * @param {Array} options Options with path and stats
+   * @param {string} title Card title
+   * @param {string} hint Explanation shown above the list
+   */
+  function presentRouteOptions(options, title, hint) {
+    clearRouteOptions();
     if (routeLayer) {
       map.removeLayer(routeLayer);
+      routeLayer = null;
     }
   
-    // Convert path to coordinates
-    const routeCoords = path.map(nodeId => {
-      const node = graph.nodes[nodeId];
-      return [node.lat, node.lng];
+    routeOptions = options;
+    routeOptions.forEach((option, index) => {
+      option.color = OPTION_COLORS[index % OPTION_COLORS.length];
+      option.dashArray = OPTION_DASHES[index % OPTION_DASHES.length];
     });
   
-    // Draw route on map
-    routeLayer = L.polyline(routeCoords, {
-      color: '#60a5fa',
-      weight: 6,
-      opacity: 0.95,
-      dashArray: '10, 8'
-    }).addTo(map);
+    // Draw in reverse so the first option ends up on top
+    [...routeOptions].reverse().forEach(option => {
+      const index = routeOptions.indexOf(option);
+      const layer = L.polyline(getPathCoords(option.path), {
+        color: option.color,
+        weight: 5,
+        opacity: 0.75,
+        dashArray: option.dashArray
+      }).addTo(map);
+      layer.bindTooltip(`Route ${index + 1}: ${formatMiles(option.stats.distance)}, crime level ${option.stats.crimeLevel}`);
+      layer.on('click', () => selectRouteOption(index));
+      routeOptionLayers.push(layer);
+    });
   
-    // Calculate route statistics
-    let totalCrimes = 0;
-    let totalDistance = 0;
+    document.getElementById('routeOptionsTitle').textContent = title;
+    document.getElementById('routeOptionsHint').textContent = hint;
+    renderRouteOptionsList();
+    selectRouteOption(0);
   
-    for (let i = 0; i < path.length - 1; i++) {
-      const fromId = path[i];
-      const toId = path[i + 1];
+    map.fitBounds(L.featureGroup(routeOptionLayers).getBounds(), { padding: [50, 50] });
+  }
   
-      // Find the edge between these nodes
-      const edge = graph.edges.find(e =>
-        (e.from === fromId && e.to === toId) ||
-        (e.to === fromId && e.from === toId)
-      );
+  /**
+   * List the route options side by side in the options card
+   */
+  function renderRouteOptionsList() {
+    const list = document.getElementById('routeOptionsList');
+    list.innerHTML = `
+      <div class="route-option route-option-header">
+        <span></span><span>Route</span><span>Distance</span><span>Crime</span><span>Segs</span><span>Rating</span>
+      </div>
+    `;
+  
+    routeOptions.forEach((option, index) => {
+      const item = document.createElement('button');
+      item.className = 'route-option';
+      item.innerHTML = `
+        <span class="legend-swatch" style="background:${option.color};"></span>
+        <span class="route-option-name">${index + 1}</span>
+        <span>${formatMiles(option.stats.distance)}</span>
+        <span>${option.stats.crimeLevel}</span>
+        <span>${option.stats.segments}</span>
+        <span style="color:${option.stats.rating.color};">${option.stats.rating.label}</span>
+      `;
+      item.addEventListener('click', () => selectRouteOption(index));
+      list.appendChild(item);
+    });
   
-      if (edge) {
-        totalCrimes += edge.crimes;
-      }
+    document.getElementById('routeOptionsCard').style.display = 'block';
+  }
   
-      const fromNode = graph.nodes[fromId];
-      const toNode = graph.nodes[toId];
-      totalDistance += getDistance(fromNode.lat, fromNode.lng, toNode.lat, toNode.lng);
-    }
-  
-    // Update UI with route information
-    const miles = totalDistance * 0.621371; // Convert km to miles
-    document.getElementById('routeDistance').textContent = `${miles.toFixed(2)} mi`;
-    document.getElementById('routeCrimeScore').textContent = totalCrimes;
-    document.getElementById('routeSegments').textContent = path.length - 1;
-  
-    // Calculate safety rating
-    const avgCrimes = totalCrimes / (path.length - 1);
-    let safetyRating, safetyColor;
-  
-    if (avgCrimes <= 2) {
-      safetyRating = 'Very Safe';
-      safetyColor = '#22c55e';
-    } else if (avgCrimes <= 5) {
-      safetyRating = 'Safe';
-      safetyColor = '#eab308';
-    } else if (avgCrimes <= 8) {
-      safetyRating = 'Moderate';
-      safetyColor = '#f97316';
-    } else {
-      safetyRating = 'Caution Advised';
-      safetyColor = '#ef4444';
-    }
-  
-    document.getElementById('safetyRating').textContent = safetyRating;
-    document.getElementById('safetyIndicator').style.backgroundColor = safetyColor;
-    document.getElementById('routeInfo').style.display = 'block';
+  /**
+   * Make one of the route options the active route
+   * @param {number} index Index into routeOptions
+   */
+  function selectRouteOption(index) {
+    const option = routeOptions[index];
+    if (!option) return;
+  
+    // routeOptionLayers are stored in reverse drawing order
+    routeOptionLayers.forEach((layer, i) => {
+      const selected = routeOptionLayers.length - 1 - i === index;
+      layer.setStyle({ weight: selected ? 7 : 5, opacity: selected ? 0.9 : 0.45 });
+    });
+    showRoute(option.path, option.stats);
   
-    // Fit map to show entire route
-    map.fitBounds(routeLayer.getBounds(), { padding: [50, 50] });
+    document.querySelectorAll('#routeOptionsList button.route-option').forEach((item, i) => {
+      item.classList.toggle('active', i === index);
+    });
+  }
+  
+  // ============================================================
+  // ALTERNATIVE ROUTES
+  // ============================================================
+  
+  /**
+   * Find several meaningfully different routes and compare them side by side
+   */
+  async function showAlternativeRoutes() {
+    const result = await findRoutes('alternatives');
+    if (!result) return;
+  
+    const options = result.routes;
+    if (options.length === 0) {
+      alert('No route found!');
+      return;
+    }
+  
+    presentRouteOptions(options, 'Alternative routes',
+      options.length < ALTERNATIVE_COUNT
+        ? `Only ${options.length} clearly different route${options.length === 1 ? '' : 's'} found. Pick one to see its summary.`
+        : 'Best first at your safety setting. Pick one to see its summary.');
+  }
+  
+  /**
+   * Remove route options from the map and hide the options card
+   */
+  function clearRouteOptions() {
+    routeOptionLayers.forEach(layer => map.removeLayer(layer));
+    routeOptionLayers = [];
+    routeOptions = [];
+    document.getElementById('routeOptionsCard').style.display = 'none';
   }
   
   /**
    * Clear route and markers from map
    */
   function clearRoute() {
+    stopNavigation();
+    clearRouteOptions();
+    clearBaselineComparison();
+    clearAccessibilityNote();
+    clearRouteAnalysis();
+    clearDirections();
+    clearWalkAudit();
     if (routeLayer) {
       map.removeLayer(routeLayer);
       routeLayer = null;
     }
+    activePath = null;
     if (startMarker) {
       map.removeLayer(startMarker);
       startMarker = null;
@@ -193,11 +682,16 @@ function dijkstra(startNodeId, endNodeId) {
       endMarker = null;
     }
   
+    stopPoints.forEach(stop => map.removeLayer(stop.marker));
+  
     startPoint = null;
     endPoint = null;
+    stopPoints = [];
     clickCount = 0;
+    renderStopsList();
   
     document.getElementById('startInput').value = '';
     document.getElementById('endInput').value = '';
     document.getElementById('routeInfo').style.display = 'none';
+    clearRouteLink();
   }
\ No newline at end of file
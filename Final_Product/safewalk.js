@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+// ============================================================
+// SAFEWALK COMMAND LINE
+// ============================================================
+// Route checks from a terminal, using the same routing core as the app
+// (see core.js). After npm install (or npm link, for a "safewalk"
+// command) at the repository root:
+//
+//   node safewalk.js build --bbox 41.29,-72.95,41.33,-72.90 --out network.json
+//   node safewalk.js route --graph network.json --from 41.31,-72.93 --to 41.30,-72.92
+//   node safewalk.js serve --graph network.json --port 8080   (see server.js)
+//   node safewalk.js neighborhoods --file boundaries.geojson
+//
+// Route options:
+//   --graph FILE        Network saved by "build", or an Overpass JSON response
+//   --from / --to LAT,LNG   Start and end (required)
+//   --via LAT,LNG       Stop on the way (repeatable, visited in order)
+//   --priority 0-1      Safety vs. distance, as the app's slider (default 0.5)
+//   --profile NAME      walking or accessible (default walking)
+//   --depart TIME       Departure time, e.g. 2024-05-01T22:30 (default now)
+//   --incidents FILE    Crime incidents as CSV or GeoJSON
+//   --neighborhoods FILE  Neighborhood boundaries as GeoJSON (default: built in)
+//   --mode MODE         safest, options or alternatives (default safest)
+//   --format FORMAT     text, json or geojson (default text)
+//
+// "serve" takes --graph, --incidents and --neighborhoods as above, plus
+// --port (default 8080) and --host (default 127.0.0.1).
+//
+// "neighborhoods" checks a boundary file (or the built-in boundaries) for
+// overlaps, gaps and names that don't match the safety factors, and exits
+// with status 1 if it finds any.
+
+const fs = require('fs');
+const path = require('path');
+const {
+  loadRoutingCore,
+  readStreetNetwork,
+  parseBoundingBox,
+  parseRouteRequest,
+  summarizeRoutes,
+  getRoutesGeoJSON
+} = require('./core');
+const { createRoutingServer } = require('./server');
+
+const USAGE = `Usage:
+  safewalk build --bbox SOUTH,WEST,NORTH,EAST [--out FILE]
+  safewalk route --graph FILE --from LAT,LNG --to LAT,LNG [--via LAT,LNG ...]
+                 [--priority 0-1] [--profile walking|accessible] [--depart TIME]
+                 [--incidents FILE] [--neighborhoods FILE]
+                 [--mode safest|options|alternatives] [--format text|json|geojson]
+  safewalk serve --graph FILE [--incidents FILE] [--neighborhoods FILE]
+                 [--port PORT] [--host HOST]
+  safewalk neighborhoods [--file FILE]`;
+
+// Options that may be given more than once
+const REPEATED_OPTIONS = ['via'];
+
+// ============================================================
+// ARGUMENTS
+// ============================================================
+
+/**
+ * Split command line arguments into a command and its options
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { command, options } with repeated options as arrays
+ */
+function parseArgs(args) {
+  const [command, ...rest] = args;
+  const options = { via: [] };
+
+  for (let i = 0; i < rest.length; i += 2) {
+    const name = rest[i].replace(/^--/, '');
+    const value = rest[i + 1];
+    if (!rest[i].startsWith('--') || value === undefined) throw new Error(`Expected "--option value", got "${rest[i]}"`);
+
+    if (REPEATED_OPTIONS.includes(name)) options[name].push(value);
+    else options[name] = value;
+  }
+
+  return { command, options };
+}
+
+// ============================================================
+// OUTPUT
+// ============================================================
+
+/**
+ * Format a route query result for printing
+ * @param {Object} core - Routing core
+ * @param {Object} result - Result from runRouteQuery()
+ * @param {Object} query - The query that produced it
+ * @param {string} format - text, json or geojson
+ * @returns {string} Output
+ */
+function formatResult(core, result, query, format) {
+  const summary = summarizeRoutes(core, result, query);
+  if (format === 'json') return JSON.stringify(summary, null, 2);
+  if (format === 'geojson') return JSON.stringify(getRoutesGeoJSON(summary), null, 2);
+
+  const lines = [];
+  summary.routes.forEach((route, index) => {
+    lines.push(`Route ${index + 1} of ${summary.routes.length} (safety priority ${route.priority}, ${summary.profile})`);
+    lines.push(`  Distance:    ${route.stats.distanceKm.toFixed(2)} km (${(route.stats.distanceKm * 0.621371).toFixed(2)} mi), about ${route.stats.minutes} min`);
+    lines.push(`  Crime level: ${route.stats.crimeLevel} (${route.stats.rating})`);
+    lines.push(`  Streets:     ${route.streets.join(' -> ')}`);
+    lines.push('');
+  });
+  if (summary.shortest) {
+    lines.push(`Shortest route: ${summary.shortest.distanceKm.toFixed(2)} km, crime level ${summary.shortest.crimeLevel} (${summary.shortest.rating})`);
+  }
+  return lines.join('\n');
+}
+
+// ============================================================
+// COMMANDS
+// ============================================================
+
+/**
+ * "build": download the walkable streets in a bounding box and save the graph
+ * @param {Object} options - Parsed options
+ */
+async function buildCommand(options) {
+  const bbox = parseBoundingBox(options.bbox, 'bbox');
+  const core = loadRoutingCore();
+  const built = await core.runCoreQuery({ type: 'build', bbox }, progress => {
+    if (progress.phase === 'downloading') console.error('Downloading streets from OpenStreetMap...');
+  });
+
+  const output = JSON.stringify({ bbox, nodes: built.nodes, edges: built.edges });
+  if (options.out) {
+    fs.writeFileSync(options.out, output);
+    console.error(`Saved ${built.nodes.length} nodes and ${built.edges.length} edges to ${options.out}`);
+  } else {
+    process.stdout.write(output + '\n');
+  }
+}
+
+/**
+ * Load the routing core with the --graph network and --incidents file
+ * @param {Object} options - Parsed options
+ * @returns {Object} Core from loadRoutingCore(), not yet scored
+ */
+function loadNetworkCore(options) {
+  if (!options.graph) throw new Error('--graph is required');
+
+  const core = loadRoutingCore();
+  if (options.neighborhoods) {
+    core.useCoreNeighborhoods(core.parseNeighborhoodFile(fs.readFileSync(options.neighborhoods, 'utf8')));
+  }
+
+  const incidents = options.incidents
+    ? core.parseIncidentFile(path.basename(options.incidents), fs.readFileSync(options.incidents, 'utf8'))
+    : [];
+  core.useCoreGraph(readStreetNetwork(core, options.graph), incidents);
+  return core;
+}
+
+/**
+ * "route": find a route on a saved street network and print it
+ * @param {Object} options - Parsed options
+ */
+function routeCommand(options) {
+  const { query, time } = parseRouteRequest(options);
+
+  const format = options.format || 'text';
+  if (!['text', 'json', 'geojson'].includes(format)) throw new Error('--format must be text, json or geojson');
+
+  const core = loadNetworkCore(options);
+  core.scoreCoreGraph(time);
+
+  const result = core.runRouteQuery(query);
+  if (!result.waypoints) throw new Error('No street found near one of the route points');
+  if (result.routes.length === 0) throw new Error('No route found between these points');
+
+  console.log(formatResult(core, result, query, format));
+}
+
+/**
+ * "serve": answer route requests over HTTP
+ * @param {Object} options - Parsed options
+ */
+function serveCommand(options) {
+  const port = options.port === undefined ? 8080 : Number(options.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error('--port must be a port number');
+  const host = options.host || '127.0.0.1';
+
+  const core = loadNetworkCore(options);
+  const graph = core.getCoreGraph();
+
+  createRoutingServer(core)
+    .on('error', error => {
+      console.error(`safewalk: ${error.message}`);
+      process.exitCode = 1;
+    })
+    .listen(port, host, () => {
+      console.error(`Serving ${graph.baseEdgeCount} street segments on http://${host}:${port}`);
+    });
+}
+
+/**
+ * "neighborhoods": check neighborhood boundaries and print the problems
+ * @param {Object} options - Parsed options
+ */
+function neighborhoodsCommand(options) {
+  const core = loadRoutingCore();
+  const polygons = options.file
+    ? core.parseNeighborhoodFile(fs.readFileSync(options.file, 'utf8'))
+    : core.getNeighborhoodData().polygons;
+
+  const problems = core.describeNeighborhoodReport(
+    core.validateNeighborhoods(polygons, core.getNeighborhoodData().safetyFactors));
+  const source = options.file || 'built-in boundaries';
+
+  if (problems.length === 0) {
+    console.log(`${source}: ${polygons.features.length} polygons, no problems found`);
+    return;
+  }
+  console.log(`${source}: ${polygons.features.length} polygons, ${problems.length} problems`);
+  problems.forEach(problem => console.log(`  ${problem}`));
+  process.exitCode = 1;
+}
+
+(async function main() {
+  try {
+    const { command, options } = parseArgs(process.argv.slice(2));
+
+    if (command === 'build') await buildCommand(options);
+    else if (command === 'route') routeCommand(options);
+    else if (command === 'serve') serveCommand(options);
+    else if (command === 'neighborhoods') neighborhoodsCommand(options);
+    else {
+      console.error(USAGE);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`safewalk: ${error.message}`);
+    process.exitCode = 1;
+  }
+})();
@@ -0,0 +1,315 @@
+// ============================================================
+// HTTP ROUTING API
+// ============================================================
+// A small JSON API around the routing core for tools that want safe routes
+// without embedding the map. Started by "safewalk serve". Endpoints (GET):
+//
+//   /route?from=LAT,LNG&to=LAT,LNG   Routes; optional via (repeatable), mode,
+//                                    priority, profile, depart, format=geojson
+//   /nearest?point=LAT,LNG           Closest routable street; optional profile, depart
+//   /edges?bbox=S,W,N,E              Streets as GeoJSON with crime scores; optional depart
+//   /neighborhoods                   Neighborhood polygons with their safety factors
+//                                    and the crime rates they come from
+//   /search?q=TEXT                   Streets whose name matches; optional limit
+//   /reverse?lat=LAT&lon=LNG         Name of the closest street
+//
+// /search and /reverse answer like Nominatim, so the app can use this
+// server as a stand-in geocoder (the "local" provider in geocoder.js).
+// Errors come back as { error } with a 4xx or 5xx status.
+
+const http = require('http');
+const {
+  ROUTE_PROFILES,
+  parsePoint,
+  parseBoundingBox,
+  parseRouteRequest,
+  summarizeRoutes,
+  getRoutesGeoJSON
+} = require('./core');
+
+// Most streets /edges returns at once; larger areas must be requested in parts
+const MAX_EDGES_PER_REQUEST = 20000;
+
+// Most places /search returns
+const MAX_SEARCH_RESULTS = 10;
+
+// Options /route passes through to parseRouteRequest()
+const ROUTE_PARAMS = ['from', 'to', 'priority', 'profile', 'mode', 'depart'];
+
+/**
+ * Create an error that is sent with an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Message for the client
+ * @returns {Error} Error with error.status set
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Run a parameter parser, reporting its errors as 400 Bad Request
+ * @param {Function} parse - Parser to run
+ * @returns {*} Whatever the parser returns
+ */
+function parseParams(parse) {
+  try {
+    return parse();
+  } catch (error) {
+    throw httpError(400, error.message);
+  }
+}
+
+/**
+ * Name a street segment the way /search and /reverse report places
+ * @param {Object} edge - Graph edge
+ * @returns {string} e.g. "York Street, Dwight"
+ */
+function describeStreet(edge) {
+  return edge.neighborhood && edge.neighborhood !== 'default'
+    ? `${edge.streetName}, ${edge.neighborhood}`
+    : edge.streetName;
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} response - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJSON(response, status, body) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*'
+  });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Create the API server for a routing core
+ * The core must already hold a street network (see useCoreGraph in core.js).
+ * @param {Object} core - Core from loadRoutingCore()
+ * @returns {http.Server} Server, not yet listening
+ */
+function createRoutingServer(core) {
+  // Time bucket and day type the edges are currently scored for; scores
+  // only change when one of them does
+  let scoredFor = null;
+
+  /**
+   * Score the streets for a departure time, unless they already are
+   * @param {string|null} depart - "depart" parameter (defaults to now)
+   */
+  function scoreFor(depart) {
+    const time = depart ? new Date(depart) : new Date();
+    if (isNaN(time.getTime())) throw httpError(400, `depart is not a valid time: "${depart}"`);
+
+    const key = `${core.getTimeBucket(time).name}:${core.isWeekend(time)}`;
+    if (key !== scoredFor) {
+      core.scoreCoreGraph(time);
+      scoredFor = key;
+    }
+  }
+
+  /**
+   * GET /route
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {Object} Routes from summarizeRoutes(), or GeoJSON
+   */
+  function handleRoute(params) {
+    if (!params.has('from') || !params.has('to')) throw httpError(400, 'from and to are required');
+
+    const options = { via: params.getAll('via') };
+    ROUTE_PARAMS.forEach(name => {
+      if (params.has(name)) options[name] = params.get(name);
+    });
+    const { query } = parseParams(() => parseRouteRequest(options));
+
+    scoreFor(options.depart);
+    const result = core.runRouteQuery(query);
+    if (!result.waypoints) throw httpError(422, 'No street found near one of the route points');
+    if (result.routes.length === 0) throw httpError(422, 'No route found between these points');
+
+    const summary = summarizeRoutes(core, result, query);
+    return params.get('format') === 'geojson' ? getRoutesGeoJSON(summary) : summary;
+  }
+
+  /**
+   * GET /nearest
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {Object} The closest street and the point on it
+   */
+  function handleNearest(params) {
+    const point = parseParams(() => parsePoint(params.get('point'), 'point'));
+    const profile = params.get('profile') || 'walking';
+    if (!ROUTE_PROFILES.includes(profile)) throw httpError(400, `profile must be ${ROUTE_PROFILES.join(' or ')}`);
+
+    scoreFor(params.get('depart'));
+    const snap = core.findNearestEdge(point.lat, point.lng, profile);
+    if (!snap) throw httpError(422, 'No street found near this point');
+
+    const graph = core.getCoreGraph();
+    const edge = graph.edges[snap.edgeId];
+    const a = graph.nodes[edge.from];
+    const b = graph.nodes[edge.to];
+
+    return {
+      edgeId: edge.id,
+      streetName: edge.streetName,
+      neighborhood: edge.neighborhood,
+      crimes: edge.crimes,
+      crimeSource: edge.crimeSource,
+      meters: Math.round(snap.meters * 10) / 10,
+      lat: a.lat + (b.lat - a.lat) * snap.t,
+      lng: a.lng + (b.lng - a.lng) * snap.t
+    };
+  }
+
+  /**
+   * GET /edges
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {Object} FeatureCollection of street segments with crime scores
+   */
+  function handleEdges(params) {
+    const box = parseParams(() => parseBoundingBox(params.get('bbox'), 'bbox'));
+    scoreFor(params.get('depart'));
+
+    const graph = core.getCoreGraph();
+    const inBox = node => node.lat >= box.south && node.lat <= box.north && node.lng >= box.west && node.lng <= box.east;
+    const edges = graph.edges.slice(0, graph.baseEdgeCount)
+      .filter(edge => inBox(graph.nodes[edge.from]) || inBox(graph.nodes[edge.to]));
+
+    if (edges.length > MAX_EDGES_PER_REQUEST) {
+      throw httpError(400, `bbox holds ${edges.length} streets; request at most ${MAX_EDGES_PER_REQUEST} at a time`);
+    }
+
+    return {
+      type: 'FeatureCollection',
+      features: edges.map(edge => ({
+        type: 'Feature',
+        geometry: {
+          type: 'LineString',
+          coordinates: [edge.from, edge.to].map(nodeId => [graph.nodes[nodeId].lng, graph.nodes[nodeId].lat])
+        },
+        properties: {
+          id: edge.id,
+          wayId: edge.wayId,
+          streetName: edge.streetName,
+          neighborhood: edge.neighborhood,
+          crimes: edge.crimes,
+          crimeSource: edge.crimeSource,
+          tagPenalty: edge.tagPenalty,
+          distanceKm: edge.distance,
+          tags: edge.tags
+        }
+      }))
+    };
+  }
+
+  /**
+   * GET /neighborhoods
+   * @returns {Object} FeatureCollection of neighborhoods, with the crime
+   *   rate and source each safety factor was calculated from
+   */
+  function handleNeighborhoods() {
+    const { polygons, safetyFactors, nightMultipliers, calibration } = core.getNeighborhoodData();
+
+    return {
+      type: 'FeatureCollection',
+      features: polygons.features.map(feature => {
+        const inputs = calibration[feature.properties.name];
+        return {
+          ...feature,
+          properties: {
+            ...feature.properties,
+            safetyFactor: safetyFactors[feature.properties.name] || safetyFactors.default,
+            nightMultiplier: nightMultipliers[feature.properties.name] || nightMultipliers.default,
+            crimeRatePer1000: inputs ? inputs.ratePer1000 : null,
+            crimeRateSource: inputs ? `${inputs.source} (${inputs.year})` : null
+          }
+        };
+      })
+    };
+  }
+
+  /**
+   * GET /search
+   * Matches street names only; a leading house number is ignored.
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {Array<Object>} Places as Nominatim search results
+   */
+  function handleSearch(params) {
+    const text = (params.get('q') || '').trim().toLowerCase().replace(/^\d+\w?\s+/, '');
+    if (!text) throw httpError(400, 'q is required');
+
+    const limit = params.has('limit') ? Number(params.get('limit')) : 5;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_RESULTS) {
+      throw httpError(400, `limit must be a whole number from 1 to ${MAX_SEARCH_RESULTS}`);
+    }
+
+    // Segments of each matching street, by name and neighborhood
+    const graph = core.getCoreGraph();
+    const streets = new Map();
+    graph.edges.slice(0, graph.baseEdgeCount).forEach(edge => {
+      const name = edge.streetName || '';
+      if (!name.toLowerCase().includes(text)) return;
+
+      const key = describeStreet(edge);
+      if (!streets.has(key)) streets.set(key, []);
+      streets.get(key).push(edge);
+    });
+
+    // Names starting with the text first, then the longest streets
+    const startsWith = key => key.toLowerCase().startsWith(text) ? 0 : 1;
+    return [...streets.entries()]
+      .sort((a, b) => startsWith(a[0]) - startsWith(b[0]) || b[1].length - a[1].length)
+      .slice(0, limit)
+      .map(([key, edges]) => {
+        const edge = edges[Math.floor(edges.length / 2)];
+        const a = graph.nodes[edge.from];
+        const b = graph.nodes[edge.to];
+        return { lat: String((a.lat + b.lat) / 2), lon: String((a.lng + b.lng) / 2), display_name: key };
+      });
+  }
+
+  /**
+   * GET /reverse
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {Object} Nominatim-style { lat, lon, display_name }
+   */
+  function handleReverse(params) {
+    const point = parseParams(() => parsePoint(`${params.get('lat')},${params.get('lon')}`, 'lat,lon'));
+    const snap = core.findNearestEdge(point.lat, point.lng, 'walking');
+    if (!snap) throw httpError(422, 'No street found near this point');
+
+    const edge = core.getCoreGraph().edges[snap.edgeId];
+    return { lat: String(point.lat), lon: String(point.lng), display_name: describeStreet(edge) };
+  }
+
+  const handlers = {
+    '/route': handleRoute,
+    '/nearest': handleNearest,
+    '/edges': handleEdges,
+    '/neighborhoods': handleNeighborhoods,
+    '/search': handleSearch,
+    '/reverse': handleReverse
+  };
+
+  return http.createServer((request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+
+    try {
+      const handler = handlers[url.pathname];
+      if (!handler) throw httpError(404, `Unknown endpoint ${url.pathname}`);
+      if (request.method !== 'GET') throw httpError(405, 'Only GET requests are supported');
+
+      sendJSON(response, 200, handler(url.searchParams));
+    } catch (error) {
+      if (!error.status) console.error(`${request.method} ${request.url} failed:`, error);
+      sendJSON(response, error.status || 500, { error: error.status ? error.message : 'Internal server error' });
+    }
+  });
+}
+
+module.exports = { createRoutingServer };
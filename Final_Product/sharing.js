@@ -0,0 +1,291 @@
+// ============================================================
+// ROUTE SHARING
+// ============================================================
+// Export of the active route as GPX or GeoJSON, reading of recorded tracks
+// (scored in audit.js), and links that reopen a route (the route points
+// and city are kept in the URL hash).
+
+// ============================================================
+// EXPORT
+// ============================================================
+
+/**
+ * Escape text for use in XML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXML(text) {
+  return String(text).replace(/[<>&'"]/g, char => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+  })[char]);
+}
+
+/**
+ * Write a route as GPX: the route points as waypoints and the route as a track
+ * @param {Object} path - Path from findRoutePath()
+ * @returns {string} GPX document
+ */
+function getRouteGPX(path) {
+  const waypoints = (path.waypoints || []).map((waypoint, index) =>
+    `  <wpt lat="${waypoint.lat}" lon="${waypoint.lng}"><name>${getWaypointName(index, path.waypoints.length)}</name></wpt>`);
+  const points = getRouteCoords(path).map(([lat, lng]) => `      <trkpt lat="${lat}" lon="${lng}"></trkpt>`);
+  const stats = getRouteStats(path);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="SafeWalking" xmlns="http://www.topografix.com/GPX/1/1">',
+    ...waypoints,
+    '  <trk>',
+    '    <name>SafeWalking route</name>',
+    `    <desc>${escapeXML(`${formatMiles(stats.distance)}, crime level ${stats.crimeLevel} (${stats.rating.label})`)}</desc>`,
+    '    <trkseg>',
+    ...points,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Write a route as GeoJSON: one line for the whole route with its stats,
+ * then one line per street segment with that segment's crime score
+ * @param {Object} path - Path from findRoutePath()
+ * @returns {Object} FeatureCollection
+ */
+function getRouteGeoJSON(path) {
+  const stats = getRouteStats(path);
+  const route = {
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates: getRouteCoords(path).map(([lat, lng]) => [lng, lat]) },
+    properties: {
+      kind: 'route',
+      profile: path.profile || routingProfile,
+      safetyPriority,
+      departure: departureTime.toISOString(),
+      distanceKm: stats.distance,
+      crimes: stats.crimes,
+      crimeLevel: stats.crimeLevel,
+      rating: stats.rating.label
+    }
+  };
+
+  const segments = path.edges.map((edgeId, index) => {
+    const edge = graph.edges[edgeId];
+    const from = graph.nodes[path.nodes[index]];
+    const to = graph.nodes[path.nodes[index + 1]];
+
+    return {
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: [[from.lng, from.lat], [to.lng, to.lat]] },
+      properties: {
+        kind: 'segment',
+        index,
+        streetName: edge.streetName,
+        neighborhood: edge.neighborhood,
+        crimes: edge.crimes,
+        crimeSource: edge.crimeSource,
+        tagPenalty: edge.tagPenalty || 0,
+        distanceKm: edge.distance,
+        rating: getSafetyRating(edge.crimes).label
+      }
+    };
+  });
+
+  return { type: 'FeatureCollection', features: [route, ...segments] };
+}
+
+/**
+ * Have the browser download some text as a file
+ * @param {string} fileName - Suggested file name
+ * @param {string} type - MIME type
+ * @param {string} text - File contents
+ */
+function downloadFile(fileName, type, text) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Download the active route (Export buttons)
+ * @param {string} format - 'gpx' or 'geojson'
+ */
+function exportRoute(format) {
+  if (!activePath) {
+    alert('Find a route first!');
+    return;
+  }
+
+  if (format === 'gpx') {
+    downloadFile('safewalking-route.gpx', 'application/gpx+xml', getRouteGPX(activePath));
+  } else {
+    downloadFile('safewalking-route.geojson', 'application/geo+json',
+      JSON.stringify(getRouteGeoJSON(activePath), null, 2));
+  }
+}
+
+// ============================================================
+// TRACK IMPORT
+// ============================================================
+
+/**
+ * Read the points of a track file
+ * Accepts GPX (track or route points) and GeoJSON lines. For a file
+ * exported from here, only the whole-route line is used.
+ * @param {string} fileName - Name of the file
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Points as { lat, lng } in track order
+ */
+function parseRouteTrack(fileName, text) {
+  if (fileName.toLowerCase().endsWith('.gpx')) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    let points = [...doc.getElementsByTagName('trkpt')];
+    if (points.length === 0) points = [...doc.getElementsByTagName('rtept')];
+
+    return points.map(pt => ({ lat: parseFloat(pt.getAttribute('lat')), lng: parseFloat(pt.getAttribute('lon')) }));
+  }
+
+  const geojson = JSON.parse(text);
+  let features = geojson.type === 'FeatureCollection' ? geojson.features
+    : geojson.type === 'Feature' ? [geojson]
+      : [{ geometry: geojson, properties: {} }];
+
+  const routeLines = features.filter(feature => feature.properties && feature.properties.kind === 'route');
+  if (routeLines.length > 0) features = routeLines;
+
+  const coords = [];
+  features.forEach(feature => {
+    const geometry = feature.geometry || {};
+    if (geometry.type === 'LineString') coords.push(...geometry.coordinates);
+    if (geometry.type === 'MultiLineString') geometry.coordinates.forEach(line => coords.push(...line));
+  });
+
+  return coords.map(([lng, lat]) => ({ lat, lng }));
+}
+
+// ============================================================
+// ROUTE LINKS
+// ============================================================
+
+/**
+ * Format a point for a route link
+ * @param {Object} point - { lat, lng }
+ * @returns {string} "lat,lng" rounded to about a meter
+ */
+function formatLinkPoint(point) {
+  return `${point.lat.toFixed(5)},${point.lng.toFixed(5)}`;
+}
+
+/**
+ * Parse a "lat,lng" value from a route link
+ * @param {string} value - Link value
+ * @returns {Object|null} { lat, lng }, or null if malformed
+ */
+function parseLinkPoint(value) {
+  const parts = String(value).split(',');
+  if (parts.length !== 2 || parts.some(part => part.trim() === '')) return null;
+
+  const [lat, lng] = parts.map(Number);
+  if (!isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lat, lng };
+}
+
+/**
+ * Write the current route points and settings into the URL hash
+ */
+function updateRouteLink() {
+  if (!startPoint || !endPoint) return;
+
+  const params = new URLSearchParams();
+  params.set('from', formatLinkPoint(startPoint));
+  stopPoints.forEach(stop => params.append('via', formatLinkPoint(stop)));
+  params.set('to', formatLinkPoint(endPoint));
+  params.set('priority', safetyPriority);
+  if (routingProfile !== 'walking') params.set('profile', routingProfile);
+  if (activeCity.id !== DEFAULT_CITY) params.set('city', activeCity.id);
+
+  // Commas are fine in a URL hash and keep the link readable
+  history.replaceState(null, '', `#${String(params).replace(/%2C/g, ',')}`);
+}
+
+/**
+ * Remove the route from the URL hash
+ */
+function clearRouteLink() {
+  history.replaceState(null, '', location.pathname + location.search);
+}
+
+/**
+ * Copy a link to the current route (Copy Link button)
+ */
+async function copyRouteLink() {
+  if (!activePath) {
+    alert('Find a route first!');
+    return;
+  }
+
+  updateRouteLink();
+  try {
+    await navigator.clipboard.writeText(location.href);
+    const note = BUILT_IN_CITIES.includes(activeCity.id)
+      ? ''
+      : ` (in another browser it needs the ${activeCity.name} profile file)`;
+    setStatus(false, `Route link copied${note}`);
+  } catch (error) {
+    prompt('Copy this link to the route:', location.href);
+  }
+}
+
+/**
+ * City named in the URL hash
+ * @returns {string|null} Profile id, or null if the link names none
+ */
+function getRouteLinkCity() {
+  return new URLSearchParams(location.hash.slice(1)).get('city');
+}
+
+/**
+ * Reopen the route in the URL hash, if there is one
+ * Called once at startup
+ */
+function openRouteLink() {
+  const params = new URLSearchParams(location.hash.slice(1));
+  const from = parseLinkPoint(params.get('from'));
+  const to = parseLinkPoint(params.get('to'));
+  if (!from || !to) return;
+
+  // Added cities are only known in the browser that added them
+  const city = params.get('city');
+  if (city && !getCityProfile(city)) {
+    alert(`This route is in a city whose profile isn't loaded here ("${city}"). ` +
+      'Add its profile file under "Street network", then open the link again.');
+    return;
+  }
+
+  const stops = params.getAll('via').map(parseLinkPoint).filter(Boolean);
+
+  const priority = Number(params.get('priority'));
+  if (params.has('priority') && priority >= 0 && priority <= 1) {
+    safetyPriority = priority;
+    document.getElementById('safetySlider').value = Math.round(priority * 100);
+    document.getElementById('safetySliderValue').textContent = describeSafetyPriority(priority);
+  }
+  if (params.get('profile') === 'accessible') {
+    routingProfile = 'accessible';
+    document.getElementById('profileSelect').value = 'accessible';
+  }
+
+  setStartPoint(from.lat, from.lng);
+  setEndPoint(to.lat, to.lng);
+  stops.forEach(stop => addStopPoint(stop.lat, stop.lng));
+  clickCount = 2;
+
+  map.fitBounds(L.latLngBounds([from, ...stops, to].map(point => [point.lat, point.lng])), { padding: [50, 50] });
+  findSafestRoute(false);
+}
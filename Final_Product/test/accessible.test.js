@@ -0,0 +1,85 @@
+// Checks of the accessible routing profile: what blocks a street, what
+// makes it hard going, and that routes keep to passable streets
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { loadRoutingCore } = require(path.join(__dirname, '..', 'core.js'));
+
+/**
+ * Build a network from OSM elements in a fresh core
+ * @param {Array} elements - Overpass-style elements
+ * @returns {Object} The core, with the network in use and scored
+ */
+function coreWith(elements) {
+  const core = loadRoutingCore();
+  core.useCoreGraph(core.buildStreetGraph(elements), []);
+  core.scoreCoreGraph(new Date(2024, 4, 8, 12));
+  return core;
+}
+
+test('inclines read as grades in percent', () => {
+  const core = loadRoutingCore();
+
+  assert.strictEqual(core.parseIncline('10%'), 10);
+  assert.strictEqual(core.parseIncline('-6%'), 6);
+  assert.ok(Math.abs(core.parseIncline('5°') - 8.75) < 0.01);
+  assert.strictEqual(core.parseIncline('up'), null);
+  assert.strictEqual(core.parseIncline(undefined), null);
+});
+
+test('steps, raised kerbs, steep inclines and wheelchair=no block a street', () => {
+  const core = coreWith([
+    { type: 'node', id: 1, lat: 41.3100, lon: -72.9300 },
+    { type: 'node', id: 2, lat: 41.3100, lon: -72.9290, tags: { kerb: 'raised' } },
+    { type: 'node', id: 3, lat: 41.3110, lon: -72.9300 },
+    { type: 'way', id: 10, nodes: [1, 3], tags: { highway: 'footway' } },
+    { type: 'way', id: 11, nodes: [3, 2], tags: { highway: 'footway' } }
+  ]);
+  const graph = core.getCoreGraph();
+  const [plain, toKerb] = graph.edges;
+  const barrier = tags => core.getAccessibilityBarrier({ ...plain, tags });
+
+  assert.strictEqual(barrier({ highway: 'steps' }), 'steps');
+  assert.strictEqual(barrier({ highway: 'footway', wheelchair: 'no' }), 'not wheelchair accessible');
+  assert.strictEqual(barrier({ highway: 'footway', incline: '12%' }), 'steep incline (12%)');
+  assert.strictEqual(barrier({ highway: 'footway', incline: '5%' }), null);
+  assert.strictEqual(barrier({ highway: 'footway', kerb: 'raised' }), 'raised kerb');
+  assert.strictEqual(core.getAccessibilityBarrier(plain), null);
+  assert.strictEqual(core.getAccessibilityBarrier(toKerb), 'raised kerb');
+});
+
+test('rough surfaces, moderate inclines and limited access make a street hard going', () => {
+  const core = loadRoutingCore();
+
+  assert.strictEqual(core.getAccessibilityFactor({ tags: { highway: 'footway' } }), 1);
+  assert.strictEqual(core.getAccessibilityFactor({ tags: { surface: 'cobblestone' } }), 1.5);
+  assert.ok(Math.abs(core.getAccessibilityFactor({ tags: { incline: '5%' } }) - 1.5) < 1e-9);
+  assert.strictEqual(core.getAccessibilityFactor({ tags: { wheelchair: 'limited' } }), 1.5);
+});
+
+test('the accessible profile goes around steps that walkers take', () => {
+  // Steps lead straight up the hill; a ramp goes around
+  const core = coreWith([
+    { type: 'node', id: 1, lat: 41.3100, lon: -72.9300 },
+    { type: 'node', id: 2, lat: 41.3110, lon: -72.9300 },
+    { type: 'node', id: 3, lat: 41.3105, lon: -72.9290 },
+    { type: 'way', id: 10, nodes: [1, 2], tags: { highway: 'steps', name: 'Hill Steps' } },
+    { type: 'way', id: 11, nodes: [1, 3, 2], tags: { highway: 'footway', name: 'Hill Ramp' } }
+  ]);
+  const graph = core.getCoreGraph();
+  const streets = profile => {
+    const route = core.runRouteQuery({
+      type: 'route',
+      mode: 'safest',
+      points: [{ lat: 41.3100, lng: -72.9300 }, { lat: 41.3110, lng: -72.9300 }],
+      priority: 0.5,
+      profile
+    }).routes[0];
+    return Array.from(new Set(Array.from(route.path.edges, edgeId => graph.edges[edgeId].streetName)));
+  };
+
+  assert.deepStrictEqual(streets('walking'), ['Hill Steps']);
+  assert.deepStrictEqual(streets('accessible'), ['Hill Ramp']);
+});
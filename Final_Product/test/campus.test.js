@@ -0,0 +1,79 @@
+// Checks of the campus gazetteer: name matching, typos and moving remote
+// results to building entrances
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { loadRoutingCore } = require(path.join(__dirname, '..', 'core.js'));
+
+// campus.js measures distances with the core's getDistance
+const core = loadRoutingCore();
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'campus.js'), 'utf8'), core, { filename: 'campus.js' });
+vm.runInContext('var activeCity = { campusPlaces: CAMPUS_PLACES };', core);
+
+/**
+ * Score typed text against a name, both normalized as searches do
+ * @param {string} text - Typed text
+ * @param {string} name - Name or alias
+ * @returns {number} Score
+ */
+function score(text, name) {
+  return core.scoreCampusName(core.normalizeCampusName(text), core.normalizeCampusName(name));
+}
+
+/**
+ * Labels of the best campus matches
+ * @param {string} query - Typed text
+ * @returns {Array<string>} Labels, best first
+ */
+function search(query) {
+  return Array.from(core.searchCampusPlaces(query, 2), place => place.label);
+}
+
+test('edit distance counts a swap of neighboring letters as one edit', () => {
+  assert.strictEqual(core.getEditDistance('kitten', 'sitting'), 3);
+  assert.strictEqual(core.getEditDistance('ab', 'ba'), 1);
+  assert.strictEqual(core.getEditDistance('peabdoy', 'peabody'), 1);
+  assert.strictEqual(core.getEditDistance('', 'abc'), 3);
+  assert.strictEqual(core.getEditDistance('bass', 'bass'), 0);
+});
+
+test('exact names score highest, then partly typed names, then names inside a query', () => {
+  assert.strictEqual(score('Sterling', 'Sterling'), 1);
+  assert.strictEqual(score('sterl', 'Sterling'), 0.9);
+  assert.strictEqual(score('bass library', 'Bass'), 0.85);
+  assert.ok(score('sterlnig', 'Sterling') > 0);
+  assert.ok(score('sterlnig', 'Sterling') < score('sterl', 'Sterling'));
+});
+
+test('short aliases only match as whole words', () => {
+  assert.strictEqual(score('TD', 'TD'), 1);
+  assert.strictEqual(score('td college', 'TD'), 0.8);
+  assert.strictEqual(score('std', 'TD'), 0);
+});
+
+test('a name followed by other words means another place', () => {
+  assert.strictEqual(score('Morse St', 'Morse'), 0);
+  assert.strictEqual(score('Branford CT', 'Branford College'), 0);
+  assert.deepStrictEqual(search('Branford CT'), []);
+  assert.deepStrictEqual(search('Chapel Street'), []);
+});
+
+test('searches find places by name, nickname and with typos', () => {
+  assert.deepStrictEqual(search('sterling'), ['Sterling Memorial Library (High St entrance)']);
+  assert.deepStrictEqual(search('TD'), ['Timothy Dwight College (Temple St gate)']);
+  assert.deepStrictEqual(search('the gym'), ['Payne Whitney Gymnasium (Tower Pkwy entrance)']);
+  assert.deepStrictEqual(search('peabdoy museum'), ['Peabody Museum (Whitney Ave entrance)']);
+});
+
+test('remote results for a campus building move to its entrance only when nearby', () => {
+  const nearby = core.useCampusEntrance({ lat: 41.3110, lng: -72.9285, label: 'Sterling Memorial Library, High Street' });
+  assert.strictEqual(nearby.campus, true);
+  assert.strictEqual(nearby.lat, 41.31118);
+
+  const faraway = { lat: 41.35, lng: -72.90, label: 'Sterling Memorial Library, High Street' };
+  assert.strictEqual(core.useCampusEntrance(faraway), faraway);
+});
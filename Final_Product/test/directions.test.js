@@ -0,0 +1,63 @@
+// Checks of turn-by-turn directions on the four-street network of
+// safewalk.test.js: Main Street runs west to east, and West Avenue, Park
+// Street and East Avenue make a detour north of it
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { loadRoutingCore, readStreetNetwork, parseRouteRequest } = require(path.join(__dirname, '..', 'core.js'));
+
+const NETWORK = path.join(__dirname, 'fixtures', 'ladder.overpass.json');
+const INCIDENTS = path.join(__dirname, 'fixtures', 'main-street-incidents.csv');
+
+const core = loadRoutingCore();
+['analysis.js', 'directions.js'].forEach(file => {
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), core, { filename: file });
+});
+core.useCoreGraph(readStreetNetwork(core, NETWORK), core.parseIncidentFile(INCIDENTS, fs.readFileSync(INCIDENTS, 'utf8')));
+
+/**
+ * Directions from the west end of Main Street to its east end
+ * @param {number} priority - Safety priority
+ * @returns {Array<string>} Step texts, cut before the distance
+ */
+function directions(priority) {
+  const { query, time } = parseRouteRequest({
+    from: '41.3100,-72.9300',
+    to: '41.3100,-72.9260',
+    priority: String(priority),
+    depart: '2024-05-08T22:00'
+  });
+  core.scoreCoreGraph(time);
+  const route = core.runRouteQuery(query).routes[0];
+  return Array.from(core.buildDirections(route.path), step => step.text.split(',')[0]);
+}
+
+test('a straight route is one step and an arrival', () => {
+  assert.deepStrictEqual(directions(0), ['Head east on Main Street', 'Arrive at your destination']);
+});
+
+test('turns are described from the change in bearing', () => {
+  assert.deepStrictEqual(directions(1), [
+    'Head north on West Avenue',
+    'Turn right onto Park Street',
+    'Turn right onto East Avenue',
+    'Arrive at your destination'
+  ]);
+});
+
+test('turn sizes and distances read naturally', () => {
+  assert.strictEqual(core.describeTurn(10), 'Continue');
+  assert.strictEqual(core.describeTurn(-45), 'Bear left');
+  assert.strictEqual(core.describeTurn(90), 'Turn right');
+  assert.strictEqual(core.describeTurn(-160), 'Turn sharply left');
+
+  assert.strictEqual(core.getCompassDirection(350), 'north');
+  assert.strictEqual(core.getCompassDirection(130), 'southeast');
+
+  assert.strictEqual(core.formatStepDistance(0.05), '160 ft');
+  assert.strictEqual(core.formatStepDistance(0.5), '0.3 mi');
+});
@@ -0,0 +1,131 @@
+// Checks of the geocoder's provider fallback and answer cache, with fetch
+// answered here instead of by the providers
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The New Haven search area (cities.js)
+const GEOCODER_BOUNDS = { south: 41.1, west: -73.1, north: 41.5, east: -72.7 };
+
+/**
+ * A geocoder whose requests are answered by a function
+ * @param {Function} answer - Called with a request URL; returns the
+ *   response body, or throws to fail the request
+ * @returns {Object} { geocoder, requests }: the context and the URLs asked for
+ */
+function loadGeocoder(answer) {
+  const requests = [];
+  const geocoder = vm.createContext({
+    activeCity: { geocoderBounds: GEOCODER_BOUNDS, campusPlaces: [] },
+    console: { warn() {}, error() {} },
+    AbortController,
+    setTimeout,
+    clearTimeout,
+    fetch: async url => {
+      requests.push(url);
+      try {
+        const body = answer(url);
+        return { ok: true, status: 200, json: async () => body };
+      } catch (error) {
+        return { ok: false, status: 503, json: async () => ({}) };
+      }
+    }
+  });
+  ['campus.js', 'geocoder.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), geocoder, { filename: file });
+  });
+  return { geocoder, requests };
+}
+
+const PHOTON_ANSWER = {
+  features: [{
+    geometry: { coordinates: [-72.9279, 41.3083] },
+    properties: { name: 'New Haven Green', city: 'New Haven', state: 'Connecticut' }
+  }]
+};
+
+test('a failing provider hands over to its fallback', async () => {
+  const { geocoder, requests } = loadGeocoder(url => {
+    if (url.includes('nominatim')) throw new Error('down');
+    return PHOTON_ANSWER;
+  });
+
+  const places = await geocoder.searchPlaces('new haven green');
+  assert.strictEqual(places.length, 1);
+  assert.strictEqual(places[0].label, 'New Haven Green, New Haven, Connecticut');
+  assert.deepStrictEqual(requests.map(url => new URL(url).hostname), ['nominatim.openstreetmap.org', 'photon.komoot.io']);
+});
+
+test('when every provider fails, searches find nothing and reverse lookups give coordinates', async () => {
+  const { geocoder, requests } = loadGeocoder(() => {
+    throw new Error('down');
+  });
+
+  assert.strictEqual((await geocoder.searchPlaces('chapel street')).length, 0);
+  assert.strictEqual(requests.length, 2);
+  assert.strictEqual(await geocoder.describePoint(41.3083, -72.9279), '41.308300, -72.927900');
+});
+
+test('suggestions never ask Nominatim', async () => {
+  const { geocoder, requests } = loadGeocoder(() => PHOTON_ANSWER);
+
+  await geocoder.suggestPlaces('new haven gr');
+  assert.ok(requests.length > 0);
+  assert.ok(requests.every(url => !url.includes('nominatim')));
+
+  // Nor as photon's fallback
+  const failing = loadGeocoder(() => {
+    throw new Error('down');
+  });
+  assert.strictEqual((await failing.geocoder.suggestPlaces('new haven gr')).length, 0);
+  assert.deepStrictEqual(failing.requests.map(url => new URL(url).hostname), ['photon.komoot.io']);
+});
+
+test('askGeocoders stops after trying each provider once', async () => {
+  const { geocoder } = loadGeocoder(() => ({}));
+  const asked = [];
+
+  await assert.rejects(geocoder.askGeocoders(async (provider, name) => {
+    asked.push(name);
+    throw new Error(`${name} is down`);
+  }), /photon is down/);
+  assert.deepStrictEqual(asked, ['nominatim', 'photon']);
+});
+
+test('repeated lookups share one request, and failed ones are retried', async () => {
+  const { geocoder } = loadGeocoder(() => ({}));
+  let lookups = 0;
+  const lookup = () => {
+    lookups++;
+    return Promise.resolve('answer');
+  };
+
+  await Promise.all([geocoder.cachedGeocode('a', lookup), geocoder.cachedGeocode('a', lookup)]);
+  assert.strictEqual(lookups, 1);
+
+  await assert.rejects(geocoder.cachedGeocode('b', () => Promise.reject(new Error('down'))));
+  assert.strictEqual(await geocoder.cachedGeocode('b', lookup), 'answer');
+  assert.strictEqual(lookups, 2);
+});
+
+test('the oldest answer is dropped once the cache is full', async () => {
+  const { geocoder } = loadGeocoder(() => ({}));
+  const size = vm.runInContext('GEOCODER_CACHE_SIZE', geocoder);
+  let lookups = 0;
+  const lookup = () => {
+    lookups++;
+    return Promise.resolve('answer');
+  };
+
+  for (let i = 0; i <= size; i++) await geocoder.cachedGeocode(`key ${i}`, lookup);
+  assert.strictEqual(lookups, size + 1);
+
+  // The newest is still cached; the first one was dropped
+  await geocoder.cachedGeocode(`key ${size}`, lookup);
+  assert.strictEqual(lookups, size + 1);
+  await geocoder.cachedGeocode('key 0', lookup);
+  assert.strictEqual(lookups, size + 2);
+});
@@ -0,0 +1,100 @@
+// Checks of street crime scores from reported incidents, on streets built
+// from OSM elements the way the app builds them
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { loadRoutingCore } = require(path.join(__dirname, '..', 'core.js'));
+
+// Main Street runs east along this latitude, about 330 m long
+const STREET_LAT = 41.3100;
+const STREET_WEST = -72.9300;
+const STREET_EAST = -72.9260;
+
+/**
+ * OSM elements for Main Street, drawn as one way through evenly spaced nodes
+ * @param {number} pieces - Number of edges the street is split into
+ * @returns {Array} Overpass-style elements
+ */
+function mainStreet(pieces) {
+  const elements = [];
+  for (let i = 0; i <= pieces; i++) {
+    elements.push({ type: 'node', id: i + 1, lat: STREET_LAT, lon: STREET_WEST + (STREET_EAST - STREET_WEST) * i / pieces });
+  }
+  elements.push({
+    type: 'way',
+    id: 100,
+    nodes: elements.map(node => node.id),
+    tags: { highway: 'residential', name: 'Main Street', sidewalk: 'both', lit: 'yes' }
+  });
+  return elements;
+}
+
+/**
+ * Undated incidents of severity 1, evenly spread along Main Street about
+ * 10 m north of it
+ * @param {number} count - Number of incidents
+ * @returns {Array} Incidents
+ */
+function incidentsAlongMainStreet(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    lat: STREET_LAT + 0.00009,
+    lng: STREET_WEST + (STREET_EAST - STREET_WEST) * (i + 0.5) / count,
+    date: null,
+    offense: 'robbery',
+    severity: 1
+  }));
+}
+
+/**
+ * Build a network, assign the incidents and score it
+ * @param {Array} elements - OSM elements
+ * @param {Array} incidents - Incidents
+ * @returns {Object} The scored graph
+ */
+function scoreNetwork(elements, incidents) {
+  const core = loadRoutingCore();
+  core.useCoreGraph(core.buildStreetGraph(elements), incidents);
+  core.scoreCoreGraph(new Date('2024-05-08T22:00'));
+  return core.getCoreGraph();
+}
+
+test('splitting a street into more edges leaves its crime score unchanged', () => {
+  const incidents = incidentsAlongMainStreet(12);
+  const whole = scoreNetwork(mainStreet(1), incidents);
+  const split = scoreNetwork(mainStreet(4), incidents);
+
+  assert.strictEqual(whole.edges.length, 1);
+  assert.strictEqual(split.edges.length, 4);
+  assert.ok(whole.edges[0].crimes > 0);
+  split.edges.forEach(edge => {
+    assert.ok(Math.abs(edge.crimes - whole.edges[0].crimes) <= 0.1, `${edge.crimes} vs ${whole.edges[0].crimes}`);
+  });
+
+  const exposure = edges => edges.reduce((sum, edge) => sum + edge.crimes * edge.distance, 0);
+  assert.ok(Math.abs(exposure(split.edges) - exposure(whole.edges)) < 0.01);
+});
+
+test('an incident at an intersection counts on one street only', () => {
+  const elements = [
+    ...mainStreet(2),
+    { type: 'node', id: 10, lat: STREET_LAT + 0.002, lon: -72.9280 },
+    { type: 'node', id: 11, lat: STREET_LAT - 0.002, lon: -72.9280 },
+    { type: 'way', id: 200, nodes: [10, 2, 11], tags: { highway: 'residential', name: 'Park Street', sidewalk: 'both', lit: 'yes' } }
+  ];
+  const incident = { lat: STREET_LAT + 0.00005, lng: -72.92797, date: null, offense: 'robbery', severity: 1 };
+  const scored = scoreNetwork(elements, [incident]);
+
+  const counted = scored.edges.filter(edge => (edge.incidents || []).includes(incident));
+  assert.strictEqual(counted.length, 1);
+  assert.strictEqual(counted[0].streetName, 'Park Street');
+});
+
+test('streets outside the incident data fall back to the neighborhood estimate', () => {
+  const faraway = { lat: 41.3500, lng: -72.9000, date: null, offense: 'robbery', severity: 1 };
+  const scored = scoreNetwork(mainStreet(1), [faraway]);
+
+  assert.strictEqual(scored.edges[0].incidents, null);
+  assert.strictEqual(scored.edges[0].crimeSource, 'neighborhood');
+});
@@ -0,0 +1,100 @@
+// Checks of neighborhood boundary validation, on small made-up boundary
+// sets and on the built-in boundaries through the command line
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+const { loadRoutingCore } = require(path.join(__dirname, '..', 'core.js'));
+
+const SAFEWALK = path.join(__dirname, '..', 'safewalk.js');
+
+const core = loadRoutingCore();
+
+/**
+ * A neighborhood shaped like a rectangle
+ * @param {string} name - Neighborhood name
+ * @param {number} west - West edge (longitude)
+ * @param {number} south - South edge (latitude)
+ * @param {number} east - East edge (longitude)
+ * @param {number} north - North edge (latitude)
+ * @returns {Object} GeoJSON Feature
+ */
+function rectangle(name, west, south, east, north) {
+  return {
+    type: 'Feature',
+    properties: { name },
+    geometry: { type: 'Polygon', coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]] }
+  };
+}
+
+/**
+ * Validate rectangles named A, B, ... against factors for those names
+ * @param {Array<Object>} features - Features from rectangle()
+ * @returns {Object} Report from validateNeighborhoods()
+ */
+function validate(features) {
+  const factors = { default: 1 };
+  features.forEach(feature => { factors[feature.properties.name] = 1; });
+  return core.validateNeighborhoods({ type: 'FeatureCollection', features }, factors);
+}
+
+test('neighborhoods that meet leave no gaps', () => {
+  const report = validate([
+    rectangle('A', -72.94, 41.30, -72.93, 41.31),
+    rectangle('B', -72.93, 41.30, -72.92, 41.31),
+    rectangle('C', -72.94, 41.31, -72.92, 41.32)
+  ]);
+
+  assert.deepStrictEqual(Array.from(report.gaps), []);
+  assert.deepStrictEqual(Array.from(report.overlaps), []);
+});
+
+test('a strip between neighborhoods is a gap even when it runs out to the edge', () => {
+  const report = validate([
+    rectangle('A', -72.94, 41.30, -72.924, 41.31),
+    rectangle('B', -72.920, 41.30, -72.91, 41.31)
+  ]);
+
+  assert.strictEqual(report.gaps.length, 1);
+  const [gap] = report.gaps;
+  assert.ok(gap.lng > -72.924 && gap.lng < -72.920, `${gap.lng}`);
+  // About 335 m by 1.1 km
+  assert.ok(gap.squareMeters > 350000 && gap.squareMeters < 400000, `${gap.squareMeters}`);
+});
+
+test('a hole surrounded by neighborhoods is a gap', () => {
+  const report = validate([
+    rectangle('A', -72.94, 41.30, -72.92, 41.305),
+    rectangle('B', -72.94, 41.306, -72.92, 41.31),
+    rectangle('C', -72.94, 41.305, -72.935, 41.306),
+    rectangle('D', -72.925, 41.305, -72.92, 41.306)
+  ]);
+
+  assert.strictEqual(report.gaps.length, 1);
+  assert.ok(report.gaps[0].lat > 41.305 && report.gaps[0].lat < 41.306);
+});
+
+test('overlaps are reported, and a polygon under another is never used', () => {
+  const report = validate([
+    rectangle('A', -72.94, 41.30, -72.92, 41.31),
+    rectangle('B', -72.93, 41.30, -72.91, 41.31),
+    rectangle('C', -72.935, 41.302, -72.932, 41.304)
+  ]);
+
+  const pairs = Array.from(report.overlaps, overlap => `${overlap.first}/${overlap.second}${overlap.hidden ? ' hidden' : ''}`);
+  assert.deepStrictEqual(pairs, ['A/B', 'A/C hidden']);
+});
+
+test('the built-in boundaries are rough and their gaps are reported', () => {
+  const result = spawnSync(process.execPath, [SAFEWALK, 'neighborhoods'], { encoding: 'utf8' });
+
+  assert.strictEqual(result.status, 1, result.stdout);
+  assert.match(result.stdout, /m² in no neighborhood/);
+  assert.doesNotMatch(result.stdout, /overlap|never used|safety factor/);
+
+  // Between Yale Campus and Wooster Square, and between East Rock and Newhallville
+  assert.strictEqual(core.getNeighborhoodForPoint(41.307, -72.922), 'default');
+  assert.strictEqual(core.getNeighborhoodForPoint(41.319, -72.930), 'default');
+});
@@ -0,0 +1,89 @@
+// Checks of the walkable network built from OSM ways and of the safety
+// penalties read from their tags
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { loadRoutingCore } = require(path.join(__dirname, '..', 'core.js'));
+
+const core = loadRoutingCore();
+
+// A night and a midday departure
+const NIGHT = new Date(2024, 4, 8, 23);
+const NOON = new Date(2024, 4, 8, 12);
+
+/**
+ * An edge of the given length with the given tags
+ * @param {Object} tags - OSM tags
+ * @param {number} [distance] - Length in km
+ * @returns {Object} Edge
+ */
+function edge(tags, distance = 0.5) {
+  return { tags, distance };
+}
+
+test('only ways pedestrians may use are walkable', () => {
+  assert.strictEqual(core.isWalkableWay({ highway: 'residential' }), true);
+  assert.strictEqual(core.isWalkableWay({ highway: 'footway' }), true);
+  assert.strictEqual(core.isWalkableWay({ highway: 'motorway' }), false);
+  assert.strictEqual(core.isWalkableWay({ highway: 'residential', foot: 'no' }), false);
+  assert.strictEqual(core.isWalkableWay({ highway: 'service', access: 'private' }), false);
+  assert.strictEqual(core.isWalkableWay({ highway: 'service', access: 'private', foot: 'yes' }), true);
+});
+
+test('unlit streets cost more at night only', () => {
+  const unlit = edge({ highway: 'residential', lit: 'no' });
+
+  assert.strictEqual(core.getEdgeTagPenalty(unlit, NIGHT), 10);
+  assert.strictEqual(core.getEdgeTagPenalty(unlit, NOON), 0);
+  assert.strictEqual(core.getEdgeTagPenalty(edge({ highway: 'residential', lit: 'yes' }), NIGHT), 0);
+});
+
+test('a missing sidewalk costs more on busy roads only', () => {
+  assert.strictEqual(core.getEdgeTagPenalty(edge({ highway: 'primary', sidewalk: 'no' }), NOON), 7.5);
+  assert.strictEqual(core.getEdgeTagPenalty(edge({ highway: 'primary', sidewalk: 'both' }), NOON), 0);
+  assert.strictEqual(core.getEdgeTagPenalty(edge({ highway: 'residential', sidewalk: 'no' }), NOON), 0);
+});
+
+test('penalties grow with the length of the street', () => {
+  const short = core.getEdgeTagPenalty(edge({ highway: 'primary', sidewalk: 'none', lit: 'no' }, 0.1), NIGHT);
+  const long = core.getEdgeTagPenalty(edge({ highway: 'primary', sidewalk: 'none', lit: 'no' }, 0.4), NIGHT);
+
+  assert.strictEqual(short, 3.5);
+  assert.strictEqual(long, 14);
+});
+
+test('the network keeps walkable ways and their pedestrian tags', () => {
+  const built = core.buildStreetGraph([
+    { type: 'node', id: 1, lat: 41.3100, lon: -72.9300 },
+    { type: 'node', id: 2, lat: 41.3100, lon: -72.9290 },
+    { type: 'node', id: 3, lat: 41.3110, lon: -72.9290 },
+    { type: 'way', id: 10, nodes: [1, 2], tags: { highway: 'residential', name: 'Elm Street', lit: 'no', maxspeed: '25 mph' } },
+    { type: 'way', id: 11, nodes: [2, 3], tags: { highway: 'motorway', name: 'Interstate 91' } }
+  ]);
+
+  assert.strictEqual(built.edges.length, 1);
+  assert.strictEqual(built.edges[0].streetName, 'Elm Street');
+  assert.deepStrictEqual({ ...built.edges[0].tags }, { highway: 'residential', lit: 'no' });
+});
+
+test('routing starts from the largest connected part of the network', () => {
+  const elements = [];
+  // Ten separate one-block streets, then one street of five blocks
+  for (let i = 0; i < 10; i++) {
+    elements.push(
+      { type: 'node', id: 100 + 2 * i, lat: 41.30 + i * 0.001, lon: -72.95 },
+      { type: 'node', id: 101 + 2 * i, lat: 41.30 + i * 0.001, lon: -72.949 },
+      { type: 'way', id: 1000 + i, nodes: [100 + 2 * i, 101 + 2 * i], tags: { highway: 'residential' } }
+    );
+  }
+  for (let i = 0; i <= 5; i++) elements.push({ type: 'node', id: 500 + i, lat: 41.32, lon: -72.95 + i * 0.001 });
+  elements.push({ type: 'way', id: 2000, nodes: [500, 501, 502, 503, 504, 505], tags: { highway: 'residential' } });
+
+  core.useCoreGraph(core.buildStreetGraph(elements), []);
+  const graph = core.getCoreGraph();
+  const main = graph.nodes.filter(node => graph.componentOf[node.id] === graph.mainComponent);
+
+  assert.strictEqual(main.length, 6);
+});
@@ -0,0 +1,56 @@
+// Checks of which route options are offered (safety vs. distance)
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// routing.js touches the page only when its functions run
+const routing = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'routing.js'), 'utf8'), routing);
+
+/**
+ * A route option with just the stats the comparison uses
+ * @param {string} name - Name, to tell options apart
+ * @param {number} distance - Length in km
+ * @param {number} crimeLevel - Distance-weighted crime level
+ * @param {number} crimes - Sum of the segments' scores
+ * @returns {Object} Option
+ */
+function option(name, distance, crimeLevel, crimes) {
+  return { name, stats: { distance, crimeLevel, crimes } };
+}
+
+test('a route longer and more exposed than another is dropped', () => {
+  const options = [
+    option('direct', 1.0, 6, 30),
+    option('detour', 1.4, 2, 40),
+    option('worse', 1.5, 7, 20)
+  ];
+
+  const names = routing.getParetoOptions(options).map(kept => kept.name);
+  assert.deepStrictEqual(names, ['direct', 'detour']);
+});
+
+test('options are compared on exposure, not on the sum over segments', () => {
+  // The detour has more (shorter) segments, so its scores add up to more,
+  // but it is less exposed per km walked
+  const options = [
+    option('direct', 1.0, 6, 12),
+    option('detour', 1.3, 3, 45)
+  ];
+
+  const names = routing.getParetoOptions(options).map(kept => kept.name);
+  assert.deepStrictEqual(names, ['direct', 'detour']);
+});
+
+test('a few meters saved don\'t justify a more exposed route', () => {
+  const options = [
+    option('riskier', 1.00, 6, 10),
+    option('safer', 1.01, 3, 10)
+  ];
+
+  const names = routing.getParetoOptions(options).map(kept => kept.name);
+  assert.deepStrictEqual(names, ['safer']);
+});
@@ -0,0 +1,84 @@
+// Checks of the route stats, in particular the distance-weighted crime
+// level (exposure per km) used to rate and compare routes
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { loadRoutingCore } = require(path.join(__dirname, '..', 'core.js'));
+
+/**
+ * OSM elements for a street running east from (41.3100, -72.9300), drawn
+ * as one way through evenly spaced nodes
+ * @param {number} pieces - Number of edges the street is split into
+ * @param {number} length - Length in degrees of longitude
+ * @returns {Array} Overpass-style elements
+ */
+function street(pieces, length) {
+  const elements = [];
+  for (let i = 0; i <= pieces; i++) {
+    elements.push({ type: 'node', id: i + 1, lat: 41.3100, lon: -72.9300 + length * i / pieces });
+  }
+  elements.push({
+    type: 'way',
+    id: 100,
+    nodes: elements.map(node => node.id),
+    tags: { highway: 'residential', name: 'Main Street', sidewalk: 'both', lit: 'yes' }
+  });
+  return elements;
+}
+
+/**
+ * Build and score a network, then route along it from end to end
+ * @param {Array} elements - OSM elements
+ * @param {Array} incidents - Incidents
+ * @returns {Object} Stats of the route, from getRouteStats()
+ */
+function routeStats(elements, incidents) {
+  const core = loadRoutingCore();
+  core.useCoreGraph(core.buildStreetGraph(elements), incidents);
+  core.scoreCoreGraph(new Date('2024-05-08T22:00'));
+
+  const nodes = core.getCoreGraph().nodes;
+  const first = nodes[0];
+  const last = nodes[nodes.length - 1];
+  const result = core.runRouteQuery({
+    type: 'route',
+    mode: 'safest',
+    points: [{ lat: first.lat, lng: first.lng }, { lat: last.lat, lng: last.lng }],
+    priority: 0.5,
+    profile: 'walking'
+  });
+  return result.routes[0].stats;
+}
+
+// Undated severity-1 incidents spread along the first 0.002 degrees
+const INCIDENTS = Array.from({ length: 8 }, (_, i) => ({
+  lat: 41.3101, lng: -72.9300 + 0.002 * (i + 0.5) / 8, date: null, offense: 'robbery', severity: 1
+}));
+
+test('a route has the same crime level however its street is split', () => {
+  const whole = routeStats(street(1, 0.002), INCIDENTS);
+  const split = routeStats(street(4, 0.002), INCIDENTS);
+
+  assert.ok(whole.crimeLevel > 0);
+  assert.strictEqual(whole.segments, 1);
+  assert.strictEqual(split.segments, 4);
+  assert.ok(Math.abs(split.crimeLevel - whole.crimeLevel) <= 0.1, `${split.crimeLevel} vs ${whole.crimeLevel}`);
+  assert.ok(Math.abs(split.exposure - whole.exposure) < 0.01);
+});
+
+test('the same incidents over a longer street make a lower crime level', () => {
+  const short = routeStats(street(2, 0.002), INCIDENTS);
+  const long = routeStats(street(2, 0.004), INCIDENTS);
+
+  assert.ok(long.distance > short.distance);
+  assert.ok(long.crimeLevel < short.crimeLevel);
+});
+
+test('the crime level is the average score per km walked', () => {
+  const stats = routeStats(street(3, 0.003), INCIDENTS);
+
+  assert.ok(stats.exposure > 0);
+  assert.ok(Math.abs(stats.crimeLevel - stats.exposure / stats.distance) <= 0.1);
+});
@@ -0,0 +1,71 @@
+// Checks of the crime rate -> safety factor calibration in data.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { loadRoutingCore } = require(path.join(__dirname, '..', 'core.js'));
+
+const core = loadRoutingCore();
+
+// The settings in data.js
+const CALIBRATION = { baseline: 'Downtown', safeScale: 0.5, safeDecimals: 2, unsafeDecimals: 1, defaultFactor: 1.0 };
+
+/**
+ * A crime rate entry
+ * @param {number} ratePer1000 - Reported crimes per 1,000 residents
+ * @returns {Object} Entry like those of neighborhoodCrimeRates
+ */
+function rate(ratePer1000) {
+  return { ratePer1000, source: 'Test data', year: 2024 };
+}
+
+test('the worked example in data.js: East Rock is 0.44', () => {
+  const table = core.calibrateSafetyFactors({ 'Downtown': rate(38.00), 'East Rock': rate(33.76) }, CALIBRATION);
+
+  assert.strictEqual(table['Downtown'].factor, 1);
+  assert.ok(Math.abs(table['East Rock'].ratio - 0.888) < 0.001);
+  assert.strictEqual(table['East Rock'].factor, 0.44);
+});
+
+test('safer neighborhoods are scaled, less safe ones keep their ratio', () => {
+  const table = core.calibrateSafetyFactors({ 'Base': rate(40), 'Safe': rate(30), 'Unsafe': rate(66) }, { ...CALIBRATION, baseline: 'Base' });
+
+  assert.strictEqual(table['Safe'].factor, 0.38);
+  assert.strictEqual(table['Unsafe'].factor, 1.7);
+});
+
+test('the calibration settings change the factors', () => {
+  const rates = { 'Base': rate(40), 'Safe': rate(30), 'Unsafe': rate(66) };
+  const table = core.calibrateSafetyFactors(rates, { ...CALIBRATION, baseline: 'Base', safeScale: 1, unsafeDecimals: 2 });
+
+  assert.strictEqual(table['Safe'].factor, 0.75);
+  assert.strictEqual(table['Unsafe'].factor, 1.65);
+});
+
+test('each factor keeps the rate and source it came from', () => {
+  const table = core.calibrateSafetyFactors({ 'Downtown': rate(38), 'Dwight': rate(62) }, CALIBRATION);
+
+  assert.strictEqual(table['Dwight'].ratePer1000, 62);
+  assert.strictEqual(table['Dwight'].source, 'Test data');
+  assert.strictEqual(table['Dwight'].year, 2024);
+});
+
+test('a baseline without a crime rate is an error', () => {
+  assert.throws(() => core.calibrateSafetyFactors({ 'East Rock': rate(33.76) }, CALIBRATION), /Baseline neighborhood "Downtown"/);
+});
+
+test('factors by name include the default for streets in no neighborhood', () => {
+  const table = core.calibrateSafetyFactors({ 'Downtown': rate(38), 'East Rock': rate(33.76) }, CALIBRATION);
+  const factors = core.getSafetyFactors(table, { ...CALIBRATION, defaultFactor: 1.2 });
+
+  assert.deepStrictEqual({ ...factors }, { 'default': 1.2, 'Downtown': 1, 'East Rock': 0.44 });
+});
+
+test('the built-in factors come from the built-in rates', () => {
+  const { safetyFactors, calibration } = core.getNeighborhoodData();
+
+  assert.strictEqual(safetyFactors['Downtown'], 1);
+  assert.strictEqual(safetyFactors['East Rock'], 0.44);
+  Object.keys(calibration).forEach(name => assert.strictEqual(safetyFactors[name], calibration[name].factor));
+});
@@ -0,0 +1,65 @@
+// Route checks through the command line, on a four-street network:
+// Main Street runs straight from west to east, and West Avenue, Park
+// Street and East Avenue make a detour north of it. The incidents all lie
+// on Main Street.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync, spawnSync } = require('child_process');
+const path = require('path');
+
+const SAFEWALK = path.join(__dirname, '..', 'safewalk.js');
+const NETWORK = path.join(__dirname, 'fixtures', 'ladder.overpass.json');
+const INCIDENTS = path.join(__dirname, 'fixtures', 'main-street-incidents.csv');
+
+/**
+ * Run "safewalk route" on the fixture network and read its JSON output
+ * @param {Array<string>} args - Extra options
+ * @returns {Object} Output of --format json
+ */
+function route(args) {
+  const output = execFileSync(process.execPath, [SAFEWALK, 'route',
+    '--graph', NETWORK,
+    '--incidents', INCIDENTS,
+    '--from', '41.3100,-72.9300',
+    '--to', '41.3100,-72.9260',
+    '--depart', '2024-05-08T22:00',
+    '--format', 'json',
+    ...args
+  ], { encoding: 'utf8' });
+  return JSON.parse(output);
+}
+
+test('the shortest route takes Main Street', () => {
+  const { routes } = route(['--priority', '0']);
+
+  assert.strictEqual(routes.length, 1);
+  assert.deepStrictEqual(routes[0].streets, ['Main Street']);
+});
+
+test('the safest route detours around Main Street', () => {
+  const { routes, shortest } = route(['--priority', '1']);
+
+  assert.deepStrictEqual(routes[0].streets, ['West Avenue', 'Park Street', 'East Avenue']);
+  assert.ok(routes[0].stats.distanceKm > shortest.distanceKm);
+  assert.ok(routes[0].stats.crimeLevel < shortest.crimeLevel);
+});
+
+test('alternatives span the safety priorities', () => {
+  const { routes } = route(['--mode', 'alternatives']);
+
+  assert.ok(routes.length >= 2);
+  assert.ok(routes.some(option => option.streets.includes('Main Street')));
+  assert.ok(routes.some(option => option.streets.includes('Park Street')));
+});
+
+test('points away from every street are reported', () => {
+  const result = spawnSync(process.execPath, [SAFEWALK, 'route',
+    '--graph', NETWORK,
+    '--from', '41.4000,-72.9300',
+    '--to', '41.3100,-72.9260'
+  ], { encoding: 'utf8' });
+
+  assert.strictEqual(result.status, 1);
+  assert.match(result.stderr, /No street found near one of the route points/);
+});
@@ -0,0 +1,91 @@
+// Checks of route export (GPX and GeoJSON), reading tracks back and route
+// link points, on the four-street network of safewalk.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { loadRoutingCore, readStreetNetwork, parseRouteRequest } = require(path.join(__dirname, '..', 'core.js'));
+
+const NETWORK = path.join(__dirname, 'fixtures', 'ladder.overpass.json');
+const INCIDENTS = path.join(__dirname, 'fixtures', 'main-street-incidents.csv');
+
+const core = loadRoutingCore();
+['routing.js', 'sharing.js'].forEach(file => {
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), core, { filename: file });
+});
+core.useCoreGraph(readStreetNetwork(core, NETWORK), core.parseIncidentFile(INCIDENTS, fs.readFileSync(INCIDENTS, 'utf8')));
+
+/**
+ * The safest route from the west end of Main Street to its east end
+ * @returns {Object} Path
+ */
+function safestPath() {
+  const { query, time } = parseRouteRequest({
+    from: '41.3100,-72.9300',
+    to: '41.3100,-72.9260',
+    priority: '1',
+    depart: '2024-05-08T22:00'
+  });
+  core.scoreCoreGraph(time);
+  return core.runRouteQuery(query).routes[0].path;
+}
+
+test('GPX export has the route points as waypoints and the route as a track', () => {
+  const route = safestPath();
+  const gpx = core.getRouteGPX(route);
+
+  assert.deepStrictEqual(gpx.match(/<name>(Start|End)<\/name>/g), ['<name>Start</name>', '<name>End</name>']);
+  assert.strictEqual(gpx.match(/<trkpt /g).length, core.getRouteCoords(route).length);
+  assert.match(gpx, /<desc>[\d.]+ mi, crime level [\d.]+ \([A-Za-z ]+\)<\/desc>/);
+});
+
+test('GeoJSON export has the whole route and then one line per segment', () => {
+  const route = safestPath();
+  const geojson = core.getRouteGeoJSON(route);
+  const [line, ...segments] = geojson.features;
+
+  assert.strictEqual(line.properties.kind, 'route');
+  assert.strictEqual(line.properties.crimeLevel, core.getRouteStats(route).crimeLevel);
+  assert.deepStrictEqual(Array.from(line.geometry.coordinates[0]), [route.waypoints[0].lng, route.waypoints[0].lat]);
+  assert.strictEqual(segments.length, route.edges.length);
+  segments.forEach((segment, index) => {
+    assert.strictEqual(segment.properties.kind, 'segment');
+    assert.strictEqual(segment.properties.crimes, core.getCoreGraph().edges[route.edges[index]].crimes);
+  });
+});
+
+test('an exported GeoJSON file reads back as the route line only', () => {
+  const route = safestPath();
+  const text = JSON.stringify(core.getRouteGeoJSON(route));
+  const points = core.parseRouteTrack('route.geojson', text);
+
+  assert.deepStrictEqual(
+    Array.from(points, point => [point.lat, point.lng]),
+    Array.from(core.getRouteCoords(route), coord => Array.from(coord))
+  );
+});
+
+test('GeoJSON tracks may be a bare line or a multi-line', () => {
+  const line = { type: 'LineString', coordinates: [[-72.93, 41.31], [-72.92, 41.32]] };
+  const multi = { type: 'Feature', properties: {}, geometry: { type: 'MultiLineString', coordinates: [line.coordinates, [[-72.91, 41.33]]] } };
+
+  assert.deepStrictEqual(Array.from(core.parseRouteTrack('walk.json', JSON.stringify(line)), point => point.lat), [41.31, 41.32]);
+  assert.deepStrictEqual(Array.from(core.parseRouteTrack('walk.json', JSON.stringify(multi)), point => point.lng), [-72.93, -72.92, -72.91]);
+});
+
+test('link points round to about a meter and malformed ones are rejected', () => {
+  const point = core.parseLinkPoint(core.formatLinkPoint({ lat: 41.3083412, lng: -72.9278851 }));
+
+  assert.strictEqual(point.lat, 41.30834);
+  assert.strictEqual(point.lng, -72.92789);
+  assert.strictEqual(core.parseLinkPoint('41.3,'), null);
+  assert.strictEqual(core.parseLinkPoint('91,-72.9'), null);
+  assert.strictEqual(core.parseLinkPoint('north,east'), null);
+});
+
+test('XML special characters are escaped', () => {
+  assert.strictEqual(core.escapeXML('Elm & "Oak" <St>'), 'Elm &amp; &quot;Oak&quot; &lt;St&gt;');
+});
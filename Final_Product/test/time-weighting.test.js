@@ -0,0 +1,62 @@
+// Checks of how incidents are weighted by the departure time's time of
+// day and day of the week
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { loadRoutingCore } = require(path.join(__dirname, '..', 'core.js'));
+
+const core = loadRoutingCore();
+
+// Monday 6 May 2024, local time
+const MONDAY = new Date(2024, 4, 6);
+
+/**
+ * A dated incident
+ * @param {number} day - Days after Monday 6 May 2024
+ * @param {number} hour - Hour of the day
+ * @returns {Object} Incident
+ */
+function incidentAt(day, hour) {
+  return { lat: 41.31, lng: -72.93, date: new Date(2024, 4, 6 + day, hour), offense: 'robbery', severity: 1 };
+}
+
+test('incidents in the same time bucket and day type count more than others', () => {
+  const mondayNight = new Date(2024, 4, 6, 23);
+
+  const sameBucket = core.getIncidentTimeWeight(incidentAt(1, 22), mondayNight);
+  const otherBucket = core.getIncidentTimeWeight(incidentAt(1, 9), mondayNight);
+  const weekend = core.getIncidentTimeWeight(incidentAt(5, 22), mondayNight);
+
+  assert.ok(sameBucket > weekend);
+  assert.ok(weekend > otherBucket);
+  assert.ok(Math.abs(otherBucket / sameBucket - 0.25) < 1e-9);
+  assert.ok(Math.abs(weekend / sameBucket - 0.5) < 1e-9);
+});
+
+test('incidents spread evenly over the week average a weight of 1 at any time', () => {
+  const week = [];
+  for (let day = 0; day < 7; day++) {
+    for (let hour = 0; hour < 24; hour++) week.push(incidentAt(day, hour));
+  }
+
+  [new Date(2024, 4, 7, 3), new Date(2024, 4, 8, 14), new Date(2024, 4, 11, 20), new Date(2024, 4, 12, 23)].forEach(time => {
+    const average = week.reduce((sum, incident) => sum + core.getIncidentTimeWeight(incident, time), 0) / week.length;
+    assert.ok(Math.abs(average - 1) < 1e-9, `${time}: ${average}`);
+  });
+});
+
+test('undated incidents always count once', () => {
+  const undated = { lat: 41.31, lng: -72.93, date: null, offense: 'robbery', severity: 1 };
+
+  assert.strictEqual(core.getIncidentTimeWeight(undated, MONDAY), 1);
+  assert.strictEqual(core.getIncidentTimeWeight(undated, new Date(2024, 4, 11, 23)), 1);
+});
+
+test('weekends are Saturday and Sunday', () => {
+  assert.strictEqual(core.isWeekend(new Date(2024, 4, 10)), false);
+  assert.strictEqual(core.isWeekend(new Date(2024, 4, 11)), true);
+  assert.strictEqual(core.isWeekend(new Date(2024, 4, 12)), true);
+  assert.strictEqual(core.isWeekend(MONDAY), false);
+});
@@ -0,0 +1,82 @@
+// Checks of matching noisy GPS tracks onto the street network
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { loadRoutingCore } = require(path.join(__dirname, '..', 'core.js'));
+
+// Main Street runs east along this latitude, about 420 m long, with a dead
+// end side street heading north from its middle
+const STREET_LAT = 41.3100;
+const STREET_WEST = -72.9300;
+const STREET_EAST = -72.9250;
+const SIDE_LNG = -72.9275;
+
+/**
+ * OSM elements for Main Street and a side street split into two edges
+ * @param {number} sideLatStep - Degrees of latitude per side street edge
+ * @returns {Array} Overpass-style elements
+ */
+function streets(sideLatStep) {
+  const elements = [];
+  for (let i = 0; i <= 10; i++) {
+    elements.push({ type: 'node', id: i + 1, lat: STREET_LAT, lon: STREET_WEST + (STREET_EAST - STREET_WEST) * i / 10 });
+  }
+  elements.push({ type: 'node', id: 20, lat: STREET_LAT + sideLatStep, lon: SIDE_LNG });
+  elements.push({ type: 'node', id: 21, lat: STREET_LAT + sideLatStep * 2, lon: SIDE_LNG });
+  elements.push(
+    { type: 'way', id: 100, nodes: elements.slice(0, 11).map(node => node.id), tags: { highway: 'residential', name: 'Main Street' } },
+    { type: 'way', id: 200, nodes: [6, 20, 21], tags: { highway: 'residential', name: 'Side Street' } }
+  );
+  return elements;
+}
+
+/**
+ * A walk east along Main Street with a few meters of GPS jitter, and one
+ * stray fix near the end of the side street halfway along
+ * @param {number} strayLat - Latitude of the stray fix
+ * @returns {Array} Track points
+ */
+function noisyTrack(strayLat) {
+  const jitter = [0.00004, -0.00003, 0.00002, -0.00004, 0.00003];
+  const points = [];
+  for (let i = 0; i <= 12; i++) {
+    const lng = STREET_WEST + (STREET_EAST - STREET_WEST) * i / 12;
+    points.push({ lat: STREET_LAT + jitter[i % jitter.length], lng });
+    if (i === 5) points.push({ lat: strayLat, lng: SIDE_LNG + 0.00002 });
+  }
+  return points;
+}
+
+/**
+ * Match a track on a freshly built network
+ * @param {Array} elements - OSM elements
+ * @param {Array} points - Track points
+ * @returns {Object} { graph, match }
+ */
+function matchTrack(elements, points) {
+  const core = loadRoutingCore();
+  core.useCoreGraph(core.buildStreetGraph(elements), []);
+  return { graph: core.getCoreGraph(), match: core.matchTrackToNetwork(points) };
+}
+
+test('a stray fix up a short side street is matched as Main Street only', () => {
+  // Two side street edges of about 24 m: walked there and back, a nested spur
+  const { graph, match } = matchTrack(streets(0.00022), noisyTrack(STREET_LAT + 0.00044));
+
+  assert.ok(match);
+  const names = new Set(Array.from(match.edges, edgeId => graph.edges[edgeId].streetName));
+  assert.deepStrictEqual([...names], ['Main Street']);
+  assert.strictEqual(new Set(Array.from(match.edges)).size, match.edges.length);
+  assert.strictEqual(match.nodes.length, match.edges.length + 1);
+});
+
+test('a long walk up a dead end and back is kept', () => {
+  // Two side street edges of about 50 m: 100 m is more than GPS noise
+  const { graph, match } = matchTrack(streets(0.00045), noisyTrack(STREET_LAT + 0.0009));
+
+  assert.ok(match);
+  const sideEdges = Array.from(match.edges).filter(edgeId => graph.edges[edgeId].streetName === 'Side Street');
+  assert.strictEqual(sideEdges.length, 4);
+});
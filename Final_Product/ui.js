@@ -81,16 +81,8 @@ function setStatus(loading, text) {
       }).addTo(window.map);
       
       // Update the input field with the address
-      try {
-        const response = await fetch(
-          `https://nominatim.openstreetmap.org/reverse?lat=${latitude}&lon=${longitude}&format=json`
-        );
-        const data = await response.json();
-        startInput.value = data.display_name || `${latitude.toFixed(6)}, ${longitude.toFixed(6)}`;
-        if (window.startMarker) window.startMarker.bindPopup(startInput.value);
-      } catch (error) {
-        startInput.value = `${latitude.toFixed(6)}, ${longitude.toFixed(6)}`;
-      }
+      startInput.value = await describePoint(latitude, longitude);
+      if (window.startMarker) window.startMarker.bindPopup(createTextPopup(startInput.value));
       
       // Update the click count to indicate we have a start point
       if (typeof window.clickCount !== 'undefined') {
@@ -113,109 +105,607 @@ function setStatus(loading, text) {
   }
 
   // ============================================================
-  // GEOCODING (ADDRESS SEARCH)
+  // DEPARTURE TIME
   // ============================================================
-  
+
+  /**
+   * Format a date for a datetime-local input (local time, minute precision)
+   * @param {Date} date - Date to format
+   * @returns {string} Value like "2024-03-01T22:30"
+   */
+  function toDateTimeLocalValue(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+      `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+
+  /**
+   * Show which time bucket the departure time falls in
+   */
+  function updateDepartTimeHint() {
+    const bucket = getTimeBucket(departureTime);
+    document.getElementById('departTimeHint').textContent =
+      `Scoring streets for: ${bucket.name}, ${isWeekend(departureTime) ? 'weekend' : 'weekday'}`;
+  }
+
+  document.getElementById('departTimeInput').value = toDateTimeLocalValue(departureTime);
+  updateDepartTimeHint();
+
+  /**
+   * Handle departure time changes: rescore and recolor streets
+   */
+  document.getElementById('departTimeInput').addEventListener('change', function (e) {
+    if (!e.target.value) return;
+    setDepartureTime(new Date(e.target.value));
+    updateDepartTimeHint();
+  });
+
+  // ============================================================
+  // SAFETY VS. DISTANCE
+  // ============================================================
+
+  /**
+   * Describe a safety priority in words for the slider label
+   * @param {number} priority - Safety priority (0-1)
+   * @returns {string} Label
+   */
+  function describeSafetyPriority(priority) {
+    if (priority <= 0.1) return 'Shortest';
+    if (priority < 0.4) return 'Mostly shorter';
+    if (priority <= 0.6) return 'Balanced';
+    if (priority < 0.9) return 'Mostly safer';
+    return 'Safest';
+  }
+
+  /**
+   * Handle safety slider changes
+   */
+  document.getElementById('safetySlider').addEventListener('input', function (e) {
+    safetyPriority = Number(e.target.value) / 100;
+    document.getElementById('safetySliderValue').textContent = describeSafetyPriority(safetyPriority);
+  });
+
+  // ============================================================
+  // ROUTING PROFILE
+  // ============================================================
+
+  /**
+   * Switch between the walking and accessible profiles and re-route
+   */
+  document.getElementById('profileSelect').addEventListener('change', function (e) {
+    routingProfile = e.target.value;
+    rerouteIfShown();
+  });
+
+  // ============================================================
+  // CITY PROFILES
+  // ============================================================
+
   /**
-   * Geocode an address to coordinates using Nominatim API
-   * @param {string} address - Address to geocode
-   * @returns {Object|null} Object with lat, lng, display_name or null
+   * Handle the City menu
    */
-  async function geocodeAddress(address) {
+  document.getElementById('citySelect').addEventListener('change', function (e) {
+    switchCity(e.target.value);
+  });
+
+  /**
+   * Handle a city profile file: check it, add it to the menu and switch to it
+   */
+  document.getElementById('cityFileInput').addEventListener('change', async function (e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
     try {
-      const response = await fetch(
-        `https://nominatim.openstreetmap.org/search?` +
-        `q=${encodeURIComponent(address)}&format=json&limit=1&` +
-        `bounded=1&viewbox=-73.1,41.5,-72.7,41.1`
-      );
-      const data = await response.json();
-  
-      if (data && data.length > 0) {
-        return {
-          lat: parseFloat(data[0].lat),
-          lng: parseFloat(data[0].lon),
-          display_name: data[0].display_name
-        };
+      // A reloaded profile is a new object, so the city on screen is rebuilt too
+      switchCity((await addCityProfile(await file.text())).id);
+    } catch (error) {
+      console.error('Error reading city profile:', error);
+      alert(`Could not use that city profile: ${error.message}`);
+    }
+  });
+
+  // ============================================================
+  // STREET NETWORK IMPORT
+  // ============================================================
+
+  /**
+   * Handle an .osm or Overpass JSON file picked in the street network card
+   */
+  document.getElementById('osmFileInput').addEventListener('change', async function (e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      if (await importStreetFile(file.name, await file.text()) === 0) {
+        alert('No walkable streets were found in that file.');
       }
-      return null;
     } catch (error) {
-      console.error('Geocoding error:', error);
-      return null;
+      console.error('Error importing street network:', error);
+      setStatus(false, 'Street network: import failed');
+      alert('Could not read that street network file.');
     }
+  });
+
+  // ============================================================
+  // CRIME INCIDENT IMPORT
+  // ============================================================
+
+  /**
+   * Handle an incident file picked in the crime data card
+   */
+  document.getElementById('incidentFileInput').addEventListener('change', async function (e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const status = document.getElementById('incidentStatus');
+    const badge = document.getElementById('incidentBadge');
+
+    try {
+      const incidents = parseIncidentFile(file.name, await file.text());
+      if (incidents.length === 0) {
+        alert('No incidents with valid coordinates were found in that file.');
+        return;
+      }
+
+      setCrimeIncidents(incidents);
+
+      const covered = graph.edges.filter(edge => edge.crimeSource === 'incidents').length;
+      badge.textContent = 'Incident data';
+      status.textContent = `${incidents.length} incidents from ${file.name}; ${covered} of ${graph.edges.length} street segments scored from them.`;
+    } catch (error) {
+      console.error('Error importing incidents:', error);
+      alert('Could not read that incident file.');
+    }
+  });
+
+  /**
+   * Handle a neighborhood boundary file: check it, then use it
+   */
+  document.getElementById('neighborhoodFileInput').addEventListener('change', async function (e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const status = document.getElementById('neighborhoodStatus');
+
+    try {
+      const polygons = parseNeighborhoodFile(await file.text());
+      const problems = describeNeighborhoodReport(validateNeighborhoods(polygons, neighborhoodSafetyFactors));
+      problems.forEach(problem => console.warn(`Neighborhood boundaries: ${problem}`));
+
+      setNeighborhoodPolygons(polygons);
+
+      const outside = graph.edges.filter(edge => edge.neighborhood === 'default').length;
+      const lines = [`${polygons.features.length} polygons from ${file.name}.`];
+      if (outside > 0) lines.push(`${outside} loaded street segments are in no neighborhood.`);
+      lines.push(...problems);
+
+      status.innerHTML = '';
+      lines.forEach(line => {
+        const row = document.createElement('div');
+        row.textContent = line;
+        status.appendChild(row);
+      });
+    } catch (error) {
+      console.error('Error importing neighborhoods:', error);
+      alert(`Could not use that neighborhood file: ${error.message}`);
+    }
+  });
+
+  // ============================================================
+  // METHODOLOGY
+  // ============================================================
+
+  /**
+   * Fill in the methodology card: how the safety factors are worked out
+   * from crime rates, and each factor with its inputs
+   */
+  function showMethodology() {
+    const calibration = safetyFactorCalibration;
+    const baseline = neighborhoodCrimeRates[calibration.baseline];
+
+    const formula = document.getElementById('methodologyFormula');
+    formula.innerHTML = `
+      Each neighborhood's crime rate is divided by <b>${calibration.baseline}</b>'s
+      (${baseline.ratePer1000.toFixed(2)} per 1,000 residents). Ratios below 1.0 are multiplied by
+      <b>${calibration.safeScale}</b> and rounded to ${calibration.safeDecimals} decimals; others are
+      rounded to ${calibration.unsafeDecimals}. Streets outside every neighborhood use
+      <b>${calibration.defaultFactor}</b>. After dark the factor is scaled by the night multiplier.
+      Streets with imported incident data are scored from the incidents instead.
+    `;
+    formula.style.display = 'block';
+
+    const rows = document.getElementById('methodologyRows');
+    rows.innerHTML = '';
+    Object.keys(safetyFactorCalibrationTable)
+      .sort((a, b) => safetyFactorCalibrationTable[a].factor - safetyFactorCalibrationTable[b].factor)
+      .forEach(name => {
+        const entry = safetyFactorCalibrationTable[name];
+        const night = neighborhoodNightMultipliers[name] || neighborhoodNightMultipliers.default;
+        const row = document.createElement('tr');
+        row.innerHTML = `
+          <td>${name}</td>
+          <td>${entry.ratePer1000.toFixed(2)}</td>
+          <td>${entry.ratio.toFixed(3)}</td>
+          <td><b>${entry.factor}</b></td>
+          <td>${night}</td>
+        `;
+        rows.appendChild(row);
+      });
+
+    // One line per source, with the neighborhoods whose rate came from it
+    const sources = new Map();
+    Object.keys(safetyFactorCalibrationTable).forEach(name => {
+      const { source, year } = safetyFactorCalibrationTable[name];
+      const key = `${source} (${year})`;
+      if (!sources.has(key)) sources.set(key, []);
+      sources.get(key).push(name);
+    });
+    document.getElementById('methodologySources').innerHTML = [...sources.entries()]
+      .map(([source, names]) => `Source: ${source}, for ${names.join(', ')}.`)
+      .join('<br>');
   }
-  
+
+  /**
+   * Show or hide the methodology card (Show Methodology button)
+   */
+  function toggleMethodology() {
+    const card = document.getElementById('methodologyCard');
+    const button = document.getElementById('methodologyBtn');
+    const showing = card.style.display === 'block';
+
+    if (!showing) showMethodology();
+    card.style.display = showing ? 'none' : 'block';
+    button.textContent = showing ? 'Show Methodology' : 'Hide Methodology';
+  }
+
+  // ============================================================
+  // TRACK SCORING
+  // ============================================================
+
+  /**
+   * Handle a GPX or GeoJSON track picked for safety scoring
+   */
+  document.getElementById('routeTrackInput').addEventListener('change', async function (e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      const points = parseRouteTrack(file.name, await file.text())
+        .filter(pt => isFinite(pt.lat) && isFinite(pt.lng));
+      if (points.length < 2) {
+        alert('No track was found in that file.');
+        return;
+      }
+
+      await auditWalk(file.name, points);
+    } catch (error) {
+      console.error('Error importing track:', error);
+      alert('Could not read that track file.');
+    }
+  });
+
+  // ============================================================
+  // RECORDED TRACK PLAYBACK
+  // ============================================================
+
+  /**
+   * Handle a recorded GPS track picked for navigation testing
+   * The track replaces the real geolocation API until the page reloads
+   */
+  document.getElementById('trackFileInput').addEventListener('change', async function (e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      const points = parseGPSTrack(file.name, await file.text())
+        .filter(pt => isFinite(pt.lat) && isFinite(pt.lng));
+      if (points.length === 0) {
+        alert('No track points were found in that file.');
+        return;
+      }
+
+      setPositionSource(createTrackPlayback(points));
+      document.getElementById('navPanel').style.display = 'grid';
+      document.getElementById('navStatus').textContent =
+        `Replaying ${points.length} points from ${file.name}. Press Start Walking.`;
+    } catch (error) {
+      console.error('Error reading GPS track:', error);
+      alert('Could not read that GPS track.');
+    }
+  });
+
+  // ============================================================
+  // ADDRESS SEARCH
+  // ============================================================
+
+  // Places picked from the suggestions, by label, so a later change event
+  // on the same text doesn't look them up again
+  const pickedPlaces = new Map();
+
+  /**
+   * Read typed "lat, lng" coordinates
+   * @param {string} text - Input text
+   * @returns {Object|null} { lat, lng }, or null if the text isn't coordinates
+   */
+  function parseCoordinateInput(text) {
+    const coords = text.split(',').map(s => parseFloat(s.trim()));
+    if (coords.length === 2 && !isNaN(coords[0]) && !isNaN(coords[1])) {
+      return { lat: coords[0], lng: coords[1] };
+    }
+    return null;
+  }
+
+  /**
+   * Turn typed input into a point: "lat, lng" coordinates or an address
+   * @param {string} text - Input text
+   * @returns {Object|null} { lat, lng, label } or null if not found
+   */
+  async function resolvePointInput(text) {
+    const coords = parseCoordinateInput(text);
+    if (coords) return { ...coords, label: text };
+    if (pickedPlaces.has(text)) return pickedPlaces.get(text);
+
+    // It's an address - geocode it
+    const places = await searchPlaces(text);
+    return places[0] || null;
+  }
+
+  // ============================================================
+  // WAYPOINTS (START, STOPS, END)
+  // ============================================================
+
+  // Marker colors by waypoint role
+  const WAYPOINT_COLORS = { start: '#22c55e', stop: '#eab308', end: '#ef4444' };
+
+  /**
+   * Marker icon for a waypoint
+   * @param {string} role - 'start', 'stop' or 'end'
+   * @param {string} [text] - Text inside the marker (stop number)
+   * @returns {Object} Leaflet divIcon
+   */
+  function createWaypointIcon(role, text = '') {
+    return L.divIcon({
+      className: 'custom-marker',
+      html: `<div class="waypoint-marker" style="background:${WAYPOINT_COLORS[role]};">${text}</div>`,
+      iconSize: [20, 20]
+    });
+  }
+
+  /**
+   * Create a draggable waypoint marker
+   * Dragging it moves the waypoint and updates the route if one is shown
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {string} role - 'start', 'stop' or 'end'
+   * @param {Function} onMove - Called with (lat, lng) after a drag
+   * @param {string} [text] - Text inside the marker
+   * @returns {Object} Leaflet marker
+   */
+  function createWaypointMarker(lat, lng, role, onMove, text = '') {
+    const marker = L.marker([lat, lng], {
+      icon: createWaypointIcon(role, text),
+      draggable: true
+    }).addTo(map);
+
+    marker.on('dragend', () => {
+      const position = marker.getLatLng();
+      onMove(position.lat, position.lng);
+    });
+
+    return marker;
+  }
+
+  /**
+   * Recompute the route after a waypoint changed, if a route is shown
+   */
+  function rerouteIfShown() {
+    if (activePath) findSafestRoute(false);
+  }
+
+  /**
+   * Popup content showing a label as plain text (a string passed to
+   * bindPopup is read as HTML, and labels come from geocoder responses)
+   * @param {string} text - Label
+   * @returns {HTMLElement} Popup content
+   */
+  function createTextPopup(text) {
+    const content = document.createElement('span');
+    content.textContent = text;
+    return content;
+  }
+
+  /**
+   * Set the start point and its marker
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {string} [label] - Address; looked up when omitted
+   */
+  async function setStartPoint(lat, lng, label) {
+    if (startMarker) map.removeLayer(startMarker);
+    startMarker = createWaypointMarker(lat, lng, 'start', async (newLat, newLng) => {
+      startPoint = { lat: newLat, lng: newLng };
+      rerouteIfShown();
+      document.getElementById('startInput').value = await describePoint(newLat, newLng);
+      startMarker.bindPopup(createTextPopup(document.getElementById('startInput').value));
+    });
+    startPoint = { lat, lng };
+
+    const text = label || await describePoint(lat, lng);
+    document.getElementById('startInput').value = text;
+    startMarker.bindPopup(createTextPopup(text));
+  }
+
+  /**
+   * Set the end point and its marker
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {string} [label] - Address; looked up when omitted
+   */
+  async function setEndPoint(lat, lng, label) {
+    if (endMarker) map.removeLayer(endMarker);
+    endMarker = createWaypointMarker(lat, lng, 'end', async (newLat, newLng) => {
+      endPoint = { lat: newLat, lng: newLng };
+      rerouteIfShown();
+      document.getElementById('endInput').value = await describePoint(newLat, newLng);
+      endMarker.bindPopup(createTextPopup(document.getElementById('endInput').value));
+    });
+    endPoint = { lat, lng };
+
+    const text = label || await describePoint(lat, lng);
+    document.getElementById('endInput').value = text;
+    endMarker.bindPopup(createTextPopup(text));
+  }
+
+  /**
+   * Add a stop after the existing stops (before the end)
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {string} [label] - Address; looked up when omitted
+   */
+  async function addStopPoint(lat, lng, label) {
+    const stop = { lat, lng, label: label || `${lat.toFixed(5)}, ${lng.toFixed(5)}` };
+    stop.marker = createWaypointMarker(lat, lng, 'stop', async (newLat, newLng) => {
+      stop.lat = newLat;
+      stop.lng = newLng;
+      rerouteIfShown();
+      stop.label = await describePoint(newLat, newLng);
+      renderStopsList();
+    }, stopPoints.length + 1);
+
+    stopPoints.push(stop);
+    renderStopsList();
+    rerouteIfShown();
+
+    if (!label) {
+      stop.label = await describePoint(lat, lng);
+      renderStopsList();
+    }
+  }
+
+  /**
+   * Move a stop up or down in the visiting order
+   * @param {number} index - Position in stopPoints
+   * @param {number} offset - -1 for earlier, 1 for later
+   */
+  function moveStopPoint(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= stopPoints.length) return;
+
+    [stopPoints[index], stopPoints[target]] = [stopPoints[target], stopPoints[index]];
+    renderStopsList();
+    rerouteIfShown();
+  }
+
+  /**
+   * Remove a stop
+   * @param {number} index - Position in stopPoints
+   */
+  function removeStopPoint(index) {
+    const [stop] = stopPoints.splice(index, 1);
+    map.removeLayer(stop.marker);
+    renderStopsList();
+    rerouteIfShown();
+  }
+
+  /**
+   * List the stops in the route inputs card and renumber their markers
+   */
+  function renderStopsList() {
+    const list = document.getElementById('stopsList');
+    list.innerHTML = '';
+
+    stopPoints.forEach((stop, index) => {
+      stop.marker.setIcon(createWaypointIcon('stop', index + 1));
+      stop.marker.bindPopup(createTextPopup(`Stop ${index + 1}: ${stop.label}`));
+
+      const item = document.createElement('div');
+      item.className = 'stop-item';
+      item.innerHTML = `
+        <span class="step-num">${index + 1}</span>
+        <span class="stop-label"></span>
+        <button class="stop-btn" title="Visit earlier" data-action="up">↑</button>
+        <button class="stop-btn" title="Visit later" data-action="down">↓</button>
+        <button class="stop-btn" title="Remove stop" data-action="remove">×</button>
+      `;
+      // Labels come from geocoder responses, so they go in as text
+      const label = item.querySelector('.stop-label');
+      label.textContent = stop.label;
+      label.setAttribute('title', stop.label);
+      item.querySelector('[data-action="up"]').addEventListener('click', () => moveStopPoint(index, -1));
+      item.querySelector('[data-action="down"]').addEventListener('click', () => moveStopPoint(index, 1));
+      item.querySelector('[data-action="remove"]').addEventListener('click', () => removeStopPoint(index));
+      list.appendChild(item);
+    });
+  }
+
   // ============================================================
   // MAP CLICK HANDLER
   // ============================================================
   
   /**
-   * Handle map clicks to set start/end points
+   * Handle map clicks: the first sets the start, the second the end,
+   * and any further clicks add stops before the end (while a walk is
+   * being drawn, clicks go to the walk instead)
    */
-  map.on('click', async function (e) {
+  map.on('click', function (e) {
     const lat = e.latlng.lat;
     const lng = e.latlng.lng;
+    if (addDrawnWalkPoint(lat, lng)) return;
   
     if (clickCount === 0) {
-      // Set start point (green marker)
-      if (startMarker) map.removeLayer(startMarker);
-      startMarker = L.marker([lat, lng], {
-        icon: L.divIcon({
-          className: 'custom-marker',
-          html: '<div style="background:#22c55e;width:20px;height:20px;border-radius:50%;border:3px solid white;box-shadow:0 10px 24px rgba(0,0,0,0.35);"></div>',
-          iconSize: [20, 20]
-        })
-      }).addTo(map);
-      startPoint = { lat, lng };
-  
-      // Reverse geocode to get address
-      try {
-        const response = await fetch(
-          `https://nominatim.openstreetmap.org/reverse?lat=${lat}&lon=${lng}&format=json`
-        );
-        const data = await response.json();
-        if (data && data.display_name) {
-          document.getElementById('startInput').value = data.display_name;
-          startMarker.bindPopup(data.display_name);
-        }
-      } catch (error) {
-        document.getElementById('startInput').value = `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
-      }
-  
+      setStartPoint(lat, lng);
       clickCount = 1;
+    } else if (clickCount === 1) {
+      setEndPoint(lat, lng);
+      clickCount = 2;
     } else {
-      // Set end point (red marker)
-      if (endMarker) map.removeLayer(endMarker);
-      endMarker = L.marker([lat, lng], {
-        icon: L.divIcon({
-          className: 'custom-marker',
-          html: '<div style="background:#ef4444;width:20px;height:20px;border-radius:50%;border:3px solid white;box-shadow:0 10px 24px rgba(0,0,0,0.35);"></div>',
-          iconSize: [20, 20]
-        })
-      }).addTo(map);
-      endPoint = { lat, lng };
-  
-      // Reverse geocode to get address
-      try {
-        const response = await fetch(
-          `https://nominatim.openstreetmap.org/reverse?lat=${lat}&lon=${lng}&format=json`
-        );
-        const data = await response.json();
-        if (data && data.display_name) {
-          document.getElementById('endInput').value = data.display_name;
-          endMarker.bindPopup(data.display_name);
-        }
-      } catch (error) {
-        document.getElementById('endInput').value = `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
-      }
-  
-      clickCount = 0;
+      addStopPoint(lat, lng);
     }
   });
+
+  // ============================================================
+  // VIEWPORT TILE LOADING
+  // ============================================================
+
+  // Wait this long (ms) after the map stops moving before loading tiles
+  const TILE_LOAD_DELAY = 400;
+  let tileLoadTimer = null;
+
+  /**
+   * Load street tiles for the new view once panning/zooming settles
+   */
+  map.on('moveend', function () {
+    clearTimeout(tileLoadTimer);
+    if (map.getZoom() < MIN_TILE_ZOOM) return;
+
+    tileLoadTimer = setTimeout(() => loadStreetData(), TILE_LOAD_DELAY);
+  });
   
   // ============================================================
   // ADDRESS INPUT HANDLERS
   // ============================================================
   
+  /**
+   * Make a typed or picked place the start point
+   * @param {Object} point - { lat, lng, label }
+   */
+  async function useStartInputPoint(point) {
+    await setStartPoint(point.lat, point.lng, point.label);
+    startMarker.openPopup();
+    map.setView([point.lat, point.lng], 15);
+    if (clickCount === 0) clickCount = 1;
+  }
+
+  /**
+   * Make a typed or picked place the end point
+   * @param {Object} point - { lat, lng, label }
+   */
+  async function useEndInputPoint(point) {
+    await setEndPoint(point.lat, point.lng, point.label);
+    endMarker.openPopup();
+    if (startPoint) clickCount = 2;
+  }
+
   /**
    * Handle start address input
    */
@@ -223,38 +713,13 @@ function setStatus(loading, text) {
     const address = e.target.value.trim();
     if (!address) return;
   
-    // Check if it's coordinates (lat, lng format)
-    const coords = address.split(',').map(s => parseFloat(s.trim()));
-    if (coords.length === 2 && !isNaN(coords[0]) && !isNaN(coords[1])) {
-      if (startMarker) map.removeLayer(startMarker);
-      startMarker = L.marker([coords[0], coords[1]], {
-        icon: L.divIcon({
-          className: 'custom-marker',
-          html: '<div style="background:#22c55e;width:20px;height:20px;border-radius:50%;border:3px solid white;box-shadow:0 10px 24px rgba(0,0,0,0.35);"></div>',
-          iconSize: [20, 20]
-        })
-      }).addTo(map);
-      startPoint = { lat: coords[0], lng: coords[1] };
-      map.setView([coords[0], coords[1]], 14);
-    } else {
-      // It's an address - geocode it
-      const result = await geocodeAddress(address);
-      if (result) {
-        if (startMarker) map.removeLayer(startMarker);
-        startMarker = L.marker([result.lat, result.lng], {
-          icon: L.divIcon({
-            className: 'custom-marker',
-            html: '<div style="background:#22c55e;width:20px;height:20px;border-radius:50%;border:3px solid white;box-shadow:0 10px 24px rgba(0,0,0,0.35);"></div>',
-            iconSize: [20, 20]
-          })
-        }).addTo(map);
-        startMarker.bindPopup(result.display_name).openPopup();
-        startPoint = { lat: result.lat, lng: result.lng };
-        map.setView([result.lat, result.lng], 15);
-      } else {
-        alert('Could not find address.');
-      }
+    const point = await resolvePointInput(address);
+    if (!point) {
+      alert('Could not find address.');
+      return;
     }
+
+    await useStartInputPoint(point);
   });
   
   /**
@@ -264,34 +729,103 @@ function setStatus(loading, text) {
     const address = e.target.value.trim();
     if (!address) return;
   
-    // Check if it's coordinates (lat, lng format)
-    const coords = address.split(',').map(s => parseFloat(s.trim()));
-    if (coords.length === 2 && !isNaN(coords[0]) && !isNaN(coords[1])) {
-      if (endMarker) map.removeLayer(endMarker);
-      endMarker = L.marker([coords[0], coords[1]], {
-        icon: L.divIcon({
-          className: 'custom-marker',
-          html: '<div style="background:#ef4444;width:20px;height:20px;border-radius:50%;border:3px solid white;box-shadow:0 10px 24px rgba(0,0,0,0.35);"></div>',
-          iconSize: [20, 20]
-        })
-      }).addTo(map);
-      endPoint = { lat: coords[0], lng: coords[1] };
-    } else {
-      // It's an address - geocode it
-      const result = await geocodeAddress(address);
-      if (result) {
-        if (endMarker) map.removeLayer(endMarker);
-        endMarker = L.marker([result.lat, result.lng], {
-          icon: L.divIcon({
-            className: 'custom-marker',
-            html: '<div style="background:#ef4444;width:20px;height:20px;border-radius:50%;border:3px solid white;box-shadow:0 10px 24px rgba(0,0,0,0.35);"></div>',
-            iconSize: [20, 20]
-          })
-        }).addTo(map);
-        endMarker.bindPopup(result.display_name).openPopup();
-        endPoint = { lat: result.lat, lng: result.lng };
-      } else {
-        alert('Could not find address.');
-      }
+    const point = await resolvePointInput(address);
+    if (!point) {
+      alert('Could not find address.');
+      return;
     }
-  });
\ No newline at end of file
+
+    await useEndInputPoint(point);
+  });
+
+  /**
+   * Handle the add-stop input
+   */
+  document.getElementById('stopInput').addEventListener('change', async function (e) {
+    const address = e.target.value.trim();
+    if (!address) return;
+  
+    const point = await resolvePointInput(address);
+    if (!point) {
+      alert('Could not find address.');
+      return;
+    }
+
+    e.target.value = '';
+    await addStopPoint(point.lat, point.lng, point.label);
+    map.setView([point.lat, point.lng], 15);
+  });
+
+  // ============================================================
+  // ADDRESS SUGGESTIONS
+  // ============================================================
+
+  // Wait this long (ms) after typing stops before suggesting places
+  const SUGGESTION_DELAY = 500;
+
+  // Shortest text that gets suggestions
+  const MIN_SUGGESTION_LENGTH = 3;
+
+  /**
+   * Suggest places under an address input as the user types
+   * @param {string} inputId - ID of the input
+   * @param {string} listId - ID of the element the suggestions go in
+   * @param {Function} usePlace - Called with the picked place
+   */
+  function attachAddressSuggestions(inputId, listId, usePlace) {
+    const input = document.getElementById(inputId);
+    const list = document.getElementById(listId);
+    let timer = null;
+
+    const hide = () => {
+      list.innerHTML = '';
+      list.style.display = 'none';
+    };
+
+    input.addEventListener('input', function () {
+      clearTimeout(timer);
+      const text = input.value.trim();
+      if (text.length < MIN_SUGGESTION_LENGTH || parseCoordinateInput(text)) {
+        hide();
+        return;
+      }
+
+      timer = setTimeout(async () => {
+        const places = await suggestPlaces(text);
+        // Typed on (or picked something) while waiting
+        if (input.value.trim() !== text || document.activeElement !== input) return;
+
+        hide();
+        places.forEach(place => {
+          const item = document.createElement('button');
+          item.className = 'suggestion';
+          item.textContent = place.label;
+          // mousedown rather than click: the input mustn't lose focus first
+          item.addEventListener('mousedown', event => {
+            event.preventDefault();
+            hide();
+            input.value = place.label;
+            pickedPlaces.set(place.label, place);
+            usePlace(place);
+          });
+          list.appendChild(item);
+        });
+        if (places.length > 0) list.style.display = 'grid';
+      }, SUGGESTION_DELAY);
+    });
+
+    input.addEventListener('blur', hide);
+    input.addEventListener('keydown', event => {
+      if (event.key === 'Escape') hide();
+    });
+  }
+
+  attachAddressSuggestions('startInput', 'startSuggestions', useStartInputPoint);
+  attachAddressSuggestions('endInput', 'endSuggestions', useEndInputPoint);
+
+  /**
+   * Handle the Address Search provider menu
+   */
+  document.getElementById('geocoderSelect').addEventListener('change', function (e) {
+    setGeocoderProvider(e.target.value);
+  });
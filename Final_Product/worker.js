@@ -0,0 +1,60 @@
+// ============================================================
+// BACKGROUND WORKER
+// ============================================================
+// Builds street graphs and answers route queries off the main thread so
+// the map stays responsive. Messages from the page:
+//
+//   { type: 'setGraph', graph }     base nodes/edges of the active network
+//   { id, type: 'build' | 'route' | 'audit' | 'stats', ... }   see runCoreQuery()
+//
+// Route and audit queries carry the current edge scores, since crime scores change
+// with the departure time and imported incidents. Build queries carry the
+// neighborhood boundaries, since the page can import others.
+//
+// Replies: { id, type: 'progress', progress }, { id, type: 'result', result }
+// or { id, type: 'error', message }.
+
+importScripts(
+  'https://cdn.jsdelivr.net/npm/@turf/turf@6/turf.min.js',
+  'data.js',
+  'graph.js',
+  'pathfinding.js'
+);
+
+/**
+ * Copy the page's crime scores onto the worker's edges
+ * Snap pieces are dropped first since they hold copies of the old scores.
+ * @param {Object} scores - { crimes, penalties } indexed by base edge ID
+ */
+function applyEdgeScores(scores) {
+  clearSnapPoints();
+  graph.edges.forEach((edge, index) => {
+    edge.crimes = scores.crimes[index];
+    edge.tagPenalty = scores.penalties[index];
+  });
+}
+
+self.onmessage = async event => {
+  const message = event.data;
+
+  if (message.type === 'setGraph') {
+    graph = { nodes: message.graph.nodes, edges: message.graph.edges, adjacency: [] };
+    indexStreetGraph();
+    return;
+  }
+
+  try {
+    if (message.scores) applyEdgeScores(message.scores);
+    if (message.polygons) {
+      neighborhoodPolygons = message.polygons;
+      indexNeighborhoods();
+    }
+
+    const result = await runCoreQuery(message, progress => {
+      self.postMessage({ id: message.id, type: 'progress', progress });
+    });
+    self.postMessage({ id: message.id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({ id: message.id, type: 'error', message: error.message });
+  }
+};